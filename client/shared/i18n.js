@@ -0,0 +1,98 @@
+// Page text for the participant, display and admin pages, from the locale bundles served at
+// /api/v1/locales/:locale. A classic script like network-view.js: its state and functions are
+// globals. Markup is translated through data-i18n (text, with optional JSON data-i18n-params) and
+// data-i18n-placeholder / data-i18n-alt / data-i18n-title attributes, so switching language
+// re-translates whatever is on screen. Until a bundle is loaded the English markup stays.
+
+const LOCALE_STORAGE_KEY = 'collective-embedding:locale'; // this device's own choice, if any
+let localeBundle = null; // { id, name, dir, channels, channelLabels, questions, roles, descriptions, ui }
+
+async function loadLocale(locale) {
+    const response = await fetch(`/api/v1/locales/${encodeURIComponent(locale)}`);
+    if (!response.ok) throw new Error(`Unknown locale ${locale}`);
+    localeBundle = await response.json();
+    
+    document.documentElement.lang = localeBundle.id;
+    document.documentElement.dir = localeBundle.dir;
+    translatePage();
+    return localeBundle;
+}
+
+// Text for a key with {placeholders} filled in; `fallback` (or the key) until a bundle is loaded
+function t(key, params = {}, fallback = key) {
+    const template = localeBundle && localeBundle.ui[key] !== undefined ? localeBundle.ui[key] : fallback;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+function translatePage(root = document) {
+    if (!localeBundle) return;
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n, element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {});
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-alt]').forEach(element => {
+        element.alt = t(element.dataset.i18nAlt);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = t(element.dataset.i18nTitle);
+    });
+}
+
+// Set an element's text from a key; it follows later language changes
+function setText(element, key, params) {
+    element.dataset.i18n = key;
+    if (params) {
+        element.dataset.i18nParams = JSON.stringify(params);
+    } else {
+        delete element.dataset.i18nParams;
+    }
+    element.textContent = t(key, params);
+}
+
+// Set text that has no key (e.g. a server message without a known reason)
+function setPlainText(element, text) {
+    delete element.dataset.i18n;
+    delete element.dataset.i18nParams;
+    element.textContent = text;
+}
+
+// Role names are stable ids in every payload; only their display text is translated
+function roleName(role) {
+    return (localeBundle && localeBundle.roles[role]) || role;
+}
+
+// Short label of a channel for embedding bars
+function channelLabel(channel) {
+    const label = localeBundle && localeBundle.channelLabels[channel.id];
+    return label || channel.id.charAt(0).toUpperCase() + channel.id.slice(1);
+}
+
+// A built-in question in the loaded language; questions without a bank key are shown as written
+function questionText(question, key) {
+    if (!localeBundle || !key) return question;
+    const separator = key.lastIndexOf('-');
+    const texts = localeBundle.questions[key.slice(0, separator)];
+    return (texts && texts[Number(key.slice(separator + 1)) - 1]) || question;
+}
+
+function savedLocale() {
+    try {
+        return localStorage.getItem(LOCALE_STORAGE_KEY);
+    } catch (error) {
+        return null;
+    }
+}
+
+function saveLocale(locale) {
+    try {
+        if (locale) {
+            localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+        } else {
+            localStorage.removeItem(LOCALE_STORAGE_KEY);
+        }
+    } catch (error) {
+        // Private browsing: the choice lasts for this page only
+    }
+}
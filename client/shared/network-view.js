@@ -0,0 +1,732 @@
+// 3D network view shared by the admin console and the projector display (/display/:sessionId).
+// A classic script: its state and functions are globals, like those of the inline page scripts.
+// Load three.js, OrbitControls and shared/i18n.js first. Pages provide #canvas-container, #legend-items and the
+// node panel markup (#node-panel, #node-name, #node-role, #embedding-bars, #node-description
+// and the #node-* centrality values). They also define fetchGraph(path) (a session route, with
+// the admin token where the page has one), updateGraph() (refetch the live graph),
+// showGraph(snapshot) (put a live graph on screen) and showReplayState() (reflect replayEpoch
+// and replayTimer in the page's controls).
+
+let graphData = { version: 0, nodes: [], edges: [], channels: [] }; // live graph or a replayed epoch
+let hiddenChannels = new Set(); // channel ids whose edges are not drawn
+let focusedNodeId = null; // node highlighted and kept at the centre of the view
+
+// Replay state
+const REPLAY_STEP_MS = 1500;
+let replayEpoch = null; // epoch on screen, or null while showing the live graph
+let liveGraphData = null; // live graph kept up to date during replay
+let replayTimer = null;
+
+// 3D Scene variables
+let scene, camera, renderer, controls;
+let nodeGroup, edgeGroup;
+let nodeObjects = new Map();
+let edgeObjects = [];
+let edgesStale = false;
+let edgeRefreshFrame = 0;
+
+// Layout state
+const LAYOUT_RADIUS = 90;
+const LAYOUT_EASING = 0.06; // share of the remaining distance covered per frame
+const EDGE_REFRESH_FRAMES = 6;
+const FORCE_REPULSION = 3000;
+const FORCE_SPRING = 0.04;
+const FORCE_SPRING_LENGTH = 45;
+const FORCE_GRAVITY = 0.01;
+const FORCE_MAX_STEP = 5;
+const FORCE_COOLING = 0.985;
+let layoutMode = 'force'; // 'force' | 'embedding'
+let layoutIncludeStructure = false;
+let layoutTargets = new Map(); // nodeId -> THREE.Vector3
+let layoutTies = []; // [{ a, b, weight }] undirected tie strength
+let forceAlpha = 0;
+let pcaAxes = [];
+let raycaster = new THREE.Raycaster();
+let mouse = new THREE.Vector2();
+
+function setupVisualization() {
+    const container = document.getElementById('canvas-container');
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+    
+    // Create scene
+    scene = new THREE.Scene();
+    scene.background = new THREE.Color(0x0a0a0b);
+    
+    // Create camera
+    camera = new THREE.PerspectiveCamera(60, width / height, 1, 1000);
+    camera.position.set(0, 0, 200);
+    
+    // Create renderer
+    renderer = new THREE.WebGLRenderer({ 
+        antialias: true,
+        alpha: true
+    });
+    renderer.setSize(width, height);
+    renderer.setPixelRatio(window.devicePixelRatio);
+    container.appendChild(renderer.domElement);
+    
+    // Create controls
+    controls = new THREE.OrbitControls(camera, renderer.domElement);
+    controls.enableDamping = true;
+    controls.dampingFactor = 0.05;
+    controls.enableZoom = true;
+    controls.enablePan = true;
+    controls.minDistance = 50;
+    controls.maxDistance = 500;
+    
+    // Create groups
+    nodeGroup = new THREE.Group();
+    edgeGroup = new THREE.Group();
+    scene.add(edgeGroup);
+    scene.add(nodeGroup);
+    
+    // Add lighting
+    const ambientLight = new THREE.AmbientLight(0x404040, 0.6);
+    scene.add(ambientLight);
+    
+    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    directionalLight.position.set(100, 100, 50);
+    scene.add(directionalLight);
+    
+    // Add click handling
+    renderer.domElement.addEventListener('click', onVisualizationClick);
+    
+    // Start render loop
+    animate();
+    
+    // Handle resize
+    window.addEventListener('resize', onWindowResize);
+}
+
+function animate() {
+    requestAnimationFrame(animate);
+    
+    if (layoutMode === 'force' && forceAlpha > 0) {
+        stepForceLayout();
+    }
+    
+    // Ease nodes towards their layout position and the color and size of the latest graph update
+    let moved = false;
+    nodeObjects.forEach((nodeObj, nodeId) => {
+        const target = layoutTargets.get(nodeId);
+        if (target && nodeObj.position.distanceToSquared(target) > 0.01) {
+            nodeObj.position.lerp(target, LAYOUT_EASING);
+            moved = true;
+        }
+        
+        const { targetColor, targetScale } = nodeObj.userData;
+        if (targetColor) {
+            nodeObj.material.color.lerp(targetColor, 0.08);
+        }
+        if (targetScale) {
+            nodeObj.scale.setScalar(nodeObj.scale.x + (targetScale - nodeObj.scale.x) * 0.08);
+        }
+    });
+    
+    // Edges follow their nodes; rebuilding tubes every frame is too costly, so throttle it
+    if (moved) {
+        edgesStale = true;
+        if (++edgeRefreshFrame % EDGE_REFRESH_FRAMES === 0) {
+            rebuildEdges();
+        }
+    } else if (edgesStale) {
+        rebuildEdges();
+    }
+    
+    // Keep the focused node at the centre of the view
+    const focusedNode = focusedNodeId && nodeObjects.get(focusedNodeId);
+    if (focusedNode) {
+        controls.target.lerp(focusedNode.position, LAYOUT_EASING);
+    }
+    
+    controls.update();
+    renderer.render(scene, camera);
+}
+
+function onVisualizationClick(event) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    
+    raycaster.setFromCamera(mouse, camera);
+    
+    const nodeArray = Array.from(nodeObjects.values());
+    const intersects = raycaster.intersectObjects(nodeArray);
+    
+    if (intersects.length > 0) {
+        const nodeId = intersects[0].object.userData.nodeId;
+        const nodeData = graphData.nodes?.find(n => n.id === nodeId);
+        if (nodeData) {
+            showNodePanel(nodeData);
+        }
+    }
+}
+
+function renderVisualization() {
+    if (!graphData.nodes || graphData.nodes.length === 0) {
+        clearVisualization();
+        return;
+    }
+    
+    updateLayout();
+    
+    // Update or create nodes with embedding colors
+    graphData.nodes.forEach((node, index) => {
+        let nodeObj = nodeObjects.get(node.id);
+        
+        if (!nodeObj) {
+            // Create new node
+            const geometry = new THREE.SphereGeometry(node.size ? node.size * 0.3 : 8, 16, 12);
+            const material = new THREE.MeshPhongMaterial({ 
+                color: node.color || '#888888',
+                shininess: 30
+            });
+            
+            nodeObj = new THREE.Mesh(geometry, material);
+            nodeObj.userData = { nodeId: node.id, label: node.label };
+            if (node.id === focusedNodeId) {
+                material.emissive.setHex(0x444444);
+            }
+            
+            // Appear at the layout position; later updates ease from there
+            nodeObj.position.copy(layoutTargets.get(node.id));
+            
+            nodeObjects.set(node.id, nodeObj);
+            nodeGroup.add(nodeObj);
+            
+            // Add label
+            nodeObj.add(createLabelSprite(node.label));
+        } else {
+            // Redraw label if it changed (e.g. after identity removal)
+            if (nodeObj.userData.label !== node.label) {
+                nodeObj.children
+                    .filter(child => child.isSprite)
+                    .forEach(sprite => nodeObj.remove(sprite));
+                nodeObj.add(createLabelSprite(node.label));
+                nodeObj.userData.label = node.label;
+            }
+            
+            // Update existing node color and size; animate() eases towards the targets
+            if (node.color) {
+                // Parse RGB color properly
+                const rgbMatch = node.color.match(/rgb\((\d+), (\d+), (\d+)\)/);
+                if (rgbMatch) {
+                    const r = parseInt(rgbMatch[1]) / 255;
+                    const g = parseInt(rgbMatch[2]) / 255;
+                    const b = parseInt(rgbMatch[3]) / 255;
+                    nodeObj.userData.targetColor = new THREE.Color(r, g, b);
+                } else if (node.color.startsWith('#')) {
+                    nodeObj.userData.targetColor = new THREE.Color(node.color);
+                }
+            }
+            nodeObj.userData.targetScale = (node.size ? node.size * 0.4 : 8) / 8; // More noticeable size changes
+        }
+    });
+    
+    // Remove nodes that no longer exist
+    const currentNodeIds = new Set(graphData.nodes.map(n => n.id));
+    nodeObjects.forEach((obj, id) => {
+        if (!currentNodeIds.has(id)) {
+            nodeGroup.remove(obj);
+            nodeObjects.delete(id);
+        }
+    });
+    
+    rebuildEdges();
+}
+
+// Create channel-colored edges between the nodes' current positions
+function rebuildEdges() {
+    edgeObjects.forEach(tube => {
+        tube.geometry.dispose();
+        tube.material.dispose();
+    });
+    edgeGroup.clear();
+    edgeObjects = [];
+    edgesStale = false;
+    
+    (graphData.edges || []).forEach(edge => {
+        if (hiddenChannels.has(edge.channel)) return;
+        const sourceNode = nodeObjects.get(edge.source);
+        const targetNode = nodeObjects.get(edge.target);
+        
+        if (sourceNode && targetNode) {
+            createChannelEdge(sourceNode, targetNode, edge);
+        }
+    });
+}
+
+function createLabelSprite(label) {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    canvas.width = 256;
+    canvas.height = 64;
+    
+    context.fillStyle = '#fafafa';
+    context.font = 'bold 20px Inter';
+    context.textAlign = 'center';
+    context.fillText(label || t('node', {}, 'Node'), 128, 40);
+    
+    const texture = new THREE.CanvasTexture(canvas);
+    const spriteMaterial = new THREE.SpriteMaterial({ 
+        map: texture,
+        transparent: true
+    });
+    const sprite = new THREE.Sprite(spriteMaterial);
+    sprite.scale.set(35, 8, 1);
+    sprite.position.set(0, 15, 0);
+    return sprite;
+}
+
+function createChannelEdge(sourceNode, targetNode, edge) {
+    // Calculate thickness - ensure it's visible
+    const thickness = Math.max(1, (edge.thickness || edge.weight || 1) * 1.5);
+    
+    // Create tube geometry for visible thick lines; the bend is fixed per edge
+    // so parallel channels stay apart and curves don't flicker on rebuild
+    const curve = new THREE.QuadraticBezierCurve3(
+        sourceNode.position,
+        new THREE.Vector3()
+            .addVectors(sourceNode.position, targetNode.position)
+            .multiplyScalar(0.5)
+            .add(stableOffset(edge.id || `${edge.source}-${edge.target}-${edge.channel}`, 15)),
+        targetNode.position
+    );
+    
+    const tubeGeometry = new THREE.TubeGeometry(
+        curve, 
+        20, 
+        thickness, // Use calculated thickness directly
+        8, 
+        false
+    );
+    
+    const material = new THREE.MeshBasicMaterial({
+        color: edge.color || '#3A7BFF',
+        opacity: 0.9,
+        transparent: true
+    });
+    
+    const tube = new THREE.Mesh(tubeGeometry, material);
+    edgeObjects.push(tube);
+    edgeGroup.add(tube);
+}
+
+function clearVisualization() {
+    nodeGroup.clear();
+    edgeGroup.clear();
+    nodeObjects.clear();
+    edgeObjects = [];
+    layoutTargets.clear();
+    pcaAxes = [];
+}
+
+// Layout: positions come from the data. 'force' runs a force-directed simulation
+// weighted by tie strength; 'embedding' projects each node's channel vector
+// (optionally with structural metrics) to 3D with PCA.
+function setLayoutMode(mode) {
+    layoutMode = mode;
+    pcaAxes = [];
+    if (mode === 'force') {
+        forceAlpha = 1;
+    }
+    updateLayout();
+}
+
+function updateLayout() {
+    const nodeIds = new Set(graphData.nodes.map(node => node.id));
+    layoutTargets.forEach((_, id) => {
+        if (!nodeIds.has(id)) layoutTargets.delete(id);
+    });
+    graphData.nodes.forEach(node => {
+        if (!layoutTargets.has(node.id)) {
+            layoutTargets.set(node.id, seedLayoutPosition(node.id));
+        }
+    });
+    
+    // Undirected tie strength per pair, summed over channels
+    const ties = new Map();
+    (graphData.edges || []).forEach(edge => {
+        const key = [edge.source, edge.target].sort().join('|');
+        const tie = ties.get(key) || { a: edge.source, b: edge.target, weight: 0 };
+        tie.weight += edge.weight;
+        ties.set(key, tie);
+    });
+    layoutTies = Array.from(ties.values()).filter(tie => layoutTargets.has(tie.a) && layoutTargets.has(tie.b));
+    
+    if (layoutMode === 'embedding') {
+        applyEmbeddingLayout();
+    } else {
+        forceAlpha = Math.max(forceAlpha, 0.6); // Reheat so the graph settles around the new data
+    }
+}
+
+// New nodes start next to a node they are tied to, or near the centre
+function seedLayoutPosition(nodeId) {
+    const neighbourId = (graphData.edges || [])
+        .map(edge => edge.source === nodeId ? edge.target : edge.target === nodeId ? edge.source : null)
+        .find(id => id && layoutTargets.has(id));
+    const spread = neighbourId ? 10 : 40;
+    const base = neighbourId ? layoutTargets.get(neighbourId).clone() : new THREE.Vector3();
+    return base.add(new THREE.Vector3(
+        (Math.random() - 0.5) * spread,
+        (Math.random() - 0.5) * spread,
+        (Math.random() - 0.5) * spread
+    ));
+}
+
+function stepForceLayout() {
+    const ids = Array.from(layoutTargets.keys());
+    const forces = new Map(ids.map(id => [id, new THREE.Vector3()]));
+    const delta = new THREE.Vector3();
+    
+    // Every pair repels
+    for (let i = 0; i < ids.length; i++) {
+        for (let j = i + 1; j < ids.length; j++) {
+            delta.subVectors(layoutTargets.get(ids[i]), layoutTargets.get(ids[j]));
+            const distanceSq = Math.max(delta.lengthSq(), 25);
+            delta.multiplyScalar(FORCE_REPULSION / (distanceSq * Math.sqrt(distanceSq)));
+            forces.get(ids[i]).add(delta);
+            forces.get(ids[j]).sub(delta);
+        }
+    }
+    
+    // Ties act as springs: stronger ties pull harder and rest closer
+    layoutTies.forEach(({ a, b, weight }) => {
+        delta.subVectors(layoutTargets.get(b), layoutTargets.get(a));
+        const distance = Math.max(delta.length(), 0.01);
+        const restLength = FORCE_SPRING_LENGTH / Math.sqrt(weight);
+        delta.multiplyScalar(FORCE_SPRING * weight * (distance - restLength) / distance);
+        forces.get(a).add(delta);
+        forces.get(b).sub(delta);
+    });
+    
+    // Gravity keeps disconnected components in view
+    ids.forEach(id => {
+        const position = layoutTargets.get(id);
+        const force = forces.get(id).addScaledVector(position, -FORCE_GRAVITY);
+        position.add(force.multiplyScalar(forceAlpha).clampLength(0, FORCE_MAX_STEP));
+    });
+    
+    forceAlpha = forceAlpha * FORCE_COOLING < 0.005 ? 0 : forceAlpha * FORCE_COOLING;
+}
+
+function layoutFeatures(node, maxBetweenness) {
+    const features = graphData.channels.map(channel => (node.normalizedEmbedding || {})[channel.id] || 0);
+    if (layoutIncludeStructure) {
+        const centrality = node.centrality || {};
+        features.push(
+            (centrality.pagerank || 0) * graphData.nodes.length,
+            centrality.clustering || 0,
+            centrality.reciprocity || 0,
+            maxBetweenness > 0 ? (centrality.betweenness || 0) / maxBetweenness : 0
+        );
+    }
+    return features;
+}
+
+function applyEmbeddingLayout() {
+    const maxBetweenness = Math.max(0, ...graphData.nodes.map(node => node.centrality?.betweenness || 0));
+    const coords = projectPCA(graphData.nodes.map(node => layoutFeatures(node, maxBetweenness)));
+    if (!coords) return; // No variance yet (nobody has answered): keep the seeded positions
+    
+    graphData.nodes.forEach((node, index) => {
+        // Nodes with identical vectors would overlap exactly, so nudge them apart a little
+        layoutTargets.get(node.id)
+            .set(coords[index][0], coords[index][1], coords[index][2])
+            .add(stableOffset(node.id, 8));
+    });
+}
+
+// Principal components by power iteration with deflation, scaled to LAYOUT_RADIUS
+function projectPCA(vectors) {
+    const n = vectors.length;
+    const d = n > 0 ? vectors[0].length : 0;
+    if (n < 2 || d === 0) return null;
+    
+    const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+    const mean = new Array(d).fill(0);
+    vectors.forEach(vector => vector.forEach((value, k) => { mean[k] += value / n; }));
+    const centered = vectors.map(vector => vector.map((value, k) => value - mean[k]));
+    
+    const covariance = Array.from({ length: d }, () => new Array(d).fill(0));
+    centered.forEach(vector => {
+        for (let a = 0; a < d; a++) {
+            for (let b = 0; b < d; b++) {
+                covariance[a][b] += vector[a] * vector[b] / n;
+            }
+        }
+    });
+    
+    const axes = [];
+    for (let k = 0; k < 3; k++) {
+        const previous = pcaAxes[k] && pcaAxes[k].length === d ? pcaAxes[k] : null;
+        let axis = previous ? [...previous] : Array.from({ length: d }, (_, i) => 1 / (i + k + 1));
+        let eigenvalue = 0;
+        
+        for (let iteration = 0; iteration < 100; iteration++) {
+            const next = covariance.map(row => dot(row, axis));
+            const norm = Math.sqrt(dot(next, next));
+            if (norm < 1e-12) {
+                eigenvalue = 0;
+                break;
+            }
+            axis = next.map(value => value / norm);
+            eigenvalue = norm;
+        }
+        if (eigenvalue === 0) {
+            axis = new Array(d).fill(0);
+        }
+        
+        for (let a = 0; a < d; a++) {
+            for (let b = 0; b < d; b++) {
+                covariance[a][b] -= eigenvalue * axis[a] * axis[b];
+            }
+        }
+        
+        // Keep each axis pointing the same way as last time so the view doesn't flip
+        if (previous && dot(axis, previous) < 0) {
+            axis = axis.map(value => -value);
+        }
+        axes.push(axis);
+    }
+    pcaAxes = axes;
+    
+    const coords = centered.map(vector => axes.map(axis => dot(vector, axis)));
+    const extent = Math.max(...coords.flat().map(Math.abs));
+    if (extent < 1e-9) return null;
+    
+    return coords.map(point => point.map(value => value / extent * LAYOUT_RADIUS));
+}
+
+// Deterministic pseudo-random offset in [-size/2, size/2] per axis
+function stableOffset(key, size) {
+    let hash = 0;
+    for (const char of key) {
+        hash = ((hash << 5) - hash + char.charCodeAt(0)) | 0;
+    }
+    const unit = (salt) => (Math.abs(Math.sin(hash + salt) * 10000) % 1) - 0.5;
+    return new THREE.Vector3(unit(1) * size, unit(2) * size, unit(3) * size);
+}
+
+function showNodePanel(nodeData) {
+    document.getElementById('node-panel').dataset.nodeId = nodeData.id;
+    document.getElementById('node-name').textContent = nodeData.label || t('node', {}, 'Node');
+    document.getElementById('node-role').textContent = roleName(nodeData.role || 'Stabilizer');
+    
+    // Update embedding bars, one per session channel
+    const embedding = nodeData.embedding || {};
+    const bars = document.getElementById('embedding-bars');
+    bars.innerHTML = '';
+    graphData.channels.forEach(channel => {
+        bars.appendChild(createEmbeddingBar(channel, embedding[channel.id] || 0));
+    });
+    
+    // Update centrality metrics
+    const centrality = nodeData.centrality || { inDegree: 0, outDegree: 0, betweenness: 0, totalVolume: 0 };
+    document.getElementById('node-indegree').textContent = centrality.inDegree || 0;
+    document.getElementById('node-outdegree').textContent = centrality.outDegree || 0;
+    document.getElementById('node-betweenness').textContent = centrality.betweenness || 0;
+    document.getElementById('node-total').textContent = centrality.totalVolume || 0;
+    document.getElementById('node-pagerank').textContent = (centrality.pagerank || 0).toFixed(3);
+    document.getElementById('node-reciprocity').textContent = `${Math.round((centrality.reciprocity || 0) * 100)}%`;
+    document.getElementById('node-clustering').textContent = (centrality.clustering || 0).toFixed(2);
+    document.getElementById('node-community').textContent = nodeData.community ? `C${nodeData.community}` : '-';
+    
+    // Update description - only show if there's actual content
+    const descriptionElement = document.getElementById('node-description');
+    if (nodeData.description && nodeData.description.trim()) {
+        descriptionElement.textContent = nodeData.description;
+        descriptionElement.style.display = 'block';
+    } else {
+        descriptionElement.style.display = 'none';
+    }
+    
+    const panel = document.getElementById('node-panel');
+    panel.style.display = 'block';
+    panel.classList.add('fade-in');
+}
+
+function createEmbeddingBar(channel, percentage) {
+    const bar = document.createElement('div');
+    bar.className = 'embedding-bar';
+    bar.title = channel.name;
+    
+    const label = document.createElement('div');
+    label.className = 'embedding-label';
+    label.textContent = channelLabel(channel);
+    
+    const track = document.createElement('div');
+    track.className = 'embedding-track';
+    const fill = document.createElement('div');
+    fill.className = 'embedding-fill';
+    fill.style.background = channel.color;
+    fill.style.width = `${percentage}%`;
+    track.appendChild(fill);
+    
+    const value = document.createElement('div');
+    value.className = 'embedding-value';
+    value.textContent = `${percentage}%`;
+    
+    bar.append(label, track, value);
+    return bar;
+}
+
+// Legend entries come from the session's channel schema; hidden channels are muted
+function renderLegend(channels) {
+    const items = document.getElementById('legend-items');
+    items.innerHTML = '';
+    channels.forEach(channel => {
+        const item = document.createElement('div');
+        item.className = 'legend-item';
+        item.classList.toggle('muted', hiddenChannels.has(channel.id));
+        item.dataset.channel = channel.id;
+        
+        const swatch = document.createElement('div');
+        swatch.className = 'legend-color';
+        swatch.style.background = channel.color;
+        
+        const text = document.createElement('div');
+        text.className = 'legend-text';
+        text.textContent = channel.name;
+        
+        item.append(swatch, text);
+        items.appendChild(item);
+    });
+}
+
+function closeNodePanel() {
+    document.getElementById('node-panel').style.display = 'none';
+}
+
+// Highlight a node, ease the view onto it and open its panel; null clears the focus
+function focusNode(nodeId) {
+    focusedNodeId = nodeId;
+    nodeObjects.forEach((nodeObj, id) => {
+        nodeObj.material.emissive.setHex(id === nodeId ? 0x444444 : 0x000000);
+    });
+    
+    const nodeData = nodeId && (graphData.nodes || []).find(node => node.id === nodeId);
+    if (nodeData) {
+        showNodePanel(nodeData);
+    } else {
+        closeNodePanel();
+    }
+}
+
+function setChannelVisible(channelId, visible) {
+    if (visible) {
+        hiddenChannels.delete(channelId);
+    } else {
+        hiddenChannels.add(channelId);
+    }
+    renderLegend(graphData.channels || []);
+    rebuildEdges();
+}
+
+// Merge a graph-delta into a snapshot in place; callers check that delta.version is the next one
+function mergeGraphDelta(graph, delta) {
+    const mergeById = (items, updates) => {
+        const byId = new Map(items.map(item => [item.id, item]));
+        updates.forEach(update => byId.set(update.id, update));
+        return Array.from(byId.values());
+    };
+    
+    graph.version = delta.version;
+    graph.nodes = mergeById(graph.nodes, delta.nodes)
+        .filter(node => !(delta.removedNodes || []).includes(node.id));
+    graph.edges = mergeById(graph.edges, delta.edges)
+        .filter(edge => !(delta.removedEdges || []).includes(edge.id));
+    graph.analytics = delta.analytics;
+}
+
+// A fresh live snapshot goes on screen, or waits until the replay ends
+function setLiveGraph(snapshot) {
+    if (replayEpoch !== null) {
+        liveGraphData = snapshot;
+        return;
+    }
+    showGraph(snapshot);
+}
+
+// Merge a versioned graph-delta; during replay the live graph keeps updating in the background.
+// A gap in the sequence means one was missed, so resync from a snapshot.
+function applyGraphDelta(delta) {
+    const live = replayEpoch === null ? graphData : liveGraphData;
+    if (delta.version <= live.version) {
+        return;
+    }
+    if (delta.version !== live.version + 1) {
+        updateGraph();
+        return;
+    }
+    
+    mergeGraphDelta(live, delta);
+    if (replayEpoch === null) {
+        showGraph(live);
+    }
+}
+
+// Show the graph as it stood at the end of an epoch, rebuilt by the server from its event log
+async function showEpoch(epoch) {
+    if (replayEpoch === null) {
+        liveGraphData = graphData;
+    }
+    replayEpoch = epoch;
+    showReplayState();
+    
+    try {
+        const snapshot = await (await fetchGraph(`epochs/${epoch}/graph`)).json();
+        if (replayEpoch !== epoch) return; // Moved on meanwhile
+        
+        graphData = snapshot;
+        closeNodePanel(); // It describes the node as it is in the live graph
+        renderVisualization();
+    } catch (error) {
+        console.error('Error loading epoch:', error);
+    }
+}
+
+function goLive() {
+    stopReplay();
+    if (replayEpoch === null) return;
+    
+    const live = liveGraphData;
+    replayEpoch = null;
+    liveGraphData = null;
+    showReplayState();
+    closeNodePanel();
+    showGraph(live);
+}
+
+// Step from `epoch` up to `lastEpoch`, one epoch every REPLAY_STEP_MS, then return to the live graph
+function startReplay(epoch, lastEpoch) {
+    stopReplay();
+    showEpoch(epoch);
+    replayTimer = setInterval(() => {
+        epoch++;
+        if (epoch > lastEpoch) {
+            goLive();
+        } else {
+            showEpoch(epoch);
+        }
+    }, REPLAY_STEP_MS);
+    showReplayState();
+}
+
+function stopReplay() {
+    clearInterval(replayTimer);
+    replayTimer = null;
+    showReplayState();
+}
+
+function onWindowResize() {
+    const container = document.getElementById('canvas-container');
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+    
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    renderer.setSize(width, height);
+}
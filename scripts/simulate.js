@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+// Simulated participants from the command line:
+//
+//   node scripts/simulate.js <joinUrl> [--count 12] [--strategy random|preferential|specialist] [--skip-rate 0.1]
+//
+// The join URL is the one shown under the session's QR code. Bots keep answering
+// until the session ends or the process is interrupted.
+
+const { STRATEGIES, validateSimulationOptions, createSimulation } = require('../server/simulator');
+
+function parseArgs(argv) {
+  const options = { count: 12, strategy: 'random', skipRate: 0.1 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--count') options.count = Number(argv[++i]);
+    else if (arg === '--strategy') options.strategy = argv[++i];
+    else if (arg === '--skip-rate') options.skipRate = Number(argv[++i]);
+    else if (!arg.startsWith('--')) options.joinUrl = arg;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const match = options.joinUrl && options.joinUrl.match(/^(https?:\/\/[^/]+)\/join\/([\w-]+)/);
+  if (!match) {
+    console.error(`Usage: node scripts/simulate.js <joinUrl> [--count N] [--strategy ${STRATEGIES.join('|')}] [--skip-rate 0-1]`);
+    process.exit(1);
+  }
+
+  const errors = validateSimulationOptions(options);
+  if (errors.length > 0) {
+    console.error(errors.join('\n'));
+    process.exit(1);
+  }
+
+  const [, url, sessionId] = match;
+
+  // The session's channels become the specialists' personas
+  const response = await fetch(`${url}/api/v1/sessions/${sessionId}/graph`);
+  if (!response.ok) {
+    console.error(`Session ${sessionId} not found at ${url}`);
+    process.exit(1);
+  }
+  const { channels } = await response.json();
+
+  const simulation = createSimulation({
+    url,
+    sessionId,
+    count: options.count,
+    strategy: options.strategy,
+    skipRate: options.skipRate,
+    channels: channels.map(channel => channel.id),
+    log: (message) => console.log(message)
+  });
+
+  process.on('SIGINT', () => {
+    simulation.stop();
+    process.exit(0);
+  });
+
+  const { joined, rejected } = await simulation.ready;
+  console.log(`${joined} simulated participant(s) joined with the ${options.strategy} strategy${rejected ? `, ${rejected} turned away` : ''}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
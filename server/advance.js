@@ -0,0 +1,89 @@
+// Auto-advance policy: when the server closes a question and moves on.
+// Every question may carry a server-owned deadline; at the deadline anyone who
+// has not answered is recorded as skipping, so an idle device never stalls a session.
+//
+//   all      advance once every participant has answered (or the deadline passes)
+//   timer    fixed duration: advance only when the deadline passes
+//   quorum   advance once quorumPercent of participants have answered
+//
+// advanceDelayMs is the pause between the advance condition being met and the next question.
+
+const ADVANCE_MODES = ['all', 'timer', 'quorum'];
+
+const defaultAdvancePolicy = {
+  mode: 'all',
+  questionDurationMs: 20000, // 0 = no deadline (not allowed in timer mode)
+  quorumPercent: 80,
+  advanceDelayMs: 5000
+};
+
+const MIN_QUESTION_DURATION_MS = 5000;
+const MAX_QUESTION_DURATION_MS = 10 * 60 * 1000;
+const MAX_ADVANCE_DELAY_MS = 60000;
+
+const isWholeNumber = (value) => Number.isInteger(value) && value >= 0;
+
+// Returns a list of human-readable problems; empty when the policy is valid.
+// Omitted fields fall back to the defaults.
+function validateAdvancePolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return ['advancePolicy must be an object'];
+  }
+
+  const { mode, questionDurationMs, quorumPercent, advanceDelayMs } = normalizeAdvancePolicy(policy);
+  const errors = [];
+
+  if (!ADVANCE_MODES.includes(mode)) {
+    errors.push(`advancePolicy.mode must be one of: ${ADVANCE_MODES.join(', ')}`);
+  }
+
+  if (!isWholeNumber(questionDurationMs) ||
+      (questionDurationMs !== 0 && questionDurationMs < MIN_QUESTION_DURATION_MS) ||
+      questionDurationMs > MAX_QUESTION_DURATION_MS) {
+    errors.push(`advancePolicy.questionDurationMs must be 0 or between ${MIN_QUESTION_DURATION_MS} and ${MAX_QUESTION_DURATION_MS}`);
+  } else if (mode === 'timer' && questionDurationMs === 0) {
+    errors.push('advancePolicy.questionDurationMs is required in timer mode');
+  }
+
+  if (!Number.isInteger(quorumPercent) || quorumPercent < 1 || quorumPercent > 100) {
+    errors.push('advancePolicy.quorumPercent must be an integer between 1 and 100');
+  }
+
+  if (!isWholeNumber(advanceDelayMs) || advanceDelayMs > MAX_ADVANCE_DELAY_MS) {
+    errors.push(`advancePolicy.advanceDelayMs must be between 0 and ${MAX_ADVANCE_DELAY_MS}`);
+  }
+
+  return errors;
+}
+
+// Defaults merged with the known fields of a (validated) policy
+function normalizeAdvancePolicy(policy = {}) {
+  const normalized = { ...defaultAdvancePolicy };
+  for (const key of Object.keys(defaultAdvancePolicy)) {
+    if (policy[key] !== undefined) normalized[key] = policy[key];
+  }
+  return normalized;
+}
+
+// Whether the current question should move on, given how many have answered
+// and whether its deadline has passed
+function isAdvanceDue(policy, { responseCount, participantCount, closed }) {
+  if (closed) return true;
+
+  switch (policy.mode) {
+    case 'all':
+      return participantCount > 0 && responseCount >= participantCount;
+    case 'quorum':
+      return participantCount > 0 && responseCount >= Math.ceil(participantCount * policy.quorumPercent / 100);
+    default:
+      return false;
+  }
+}
+
+module.exports = {
+  ADVANCE_MODES,
+  defaultAdvancePolicy,
+  validateAdvancePolicy,
+  normalizeAdvancePolicy,
+  isAdvanceDue
+};
@@ -0,0 +1,367 @@
+// Graph analytics: weighted betweenness (Brandes), PageRank, reciprocity,
+// clustering and Louvain communities, computed overall and per channel.
+// Everything works on plain data: a list of node ids and a list of
+// { source, target, channel, weight } ties, so nothing here knows about sessions.
+
+const PAGERANK_DAMPING = 0.85;
+const PAGERANK_TOLERANCE = 1e-9;
+const PAGERANK_MAX_ITERATIONS = 100;
+const EPSILON = 1e-12;
+
+const round = (value, digits = 4) => Number(value.toFixed(digits));
+
+// Merge parallel ties into source -> Map(target -> total weight), ignoring self-ties
+function buildAdjacency(nodeIds, ties) {
+  const adjacency = new Map(nodeIds.map(id => [id, new Map()]));
+  for (const { source, target, weight } of ties) {
+    if (source === target || !adjacency.has(source) || !adjacency.has(target) || !(weight > 0)) continue;
+    const targets = adjacency.get(source);
+    targets.set(target, (targets.get(target) || 0) + weight);
+  }
+  return adjacency;
+}
+
+// Undirected view: a -> Map(b -> weight of a->b plus b->a)
+function symmetrize(adjacency) {
+  const undirected = new Map(Array.from(adjacency.keys(), id => [id, new Map()]));
+  for (const [source, targets] of adjacency) {
+    for (const [target, weight] of targets) {
+      undirected.get(source).set(target, (undirected.get(source).get(target) || 0) + weight);
+      undirected.get(target).set(source, (undirected.get(target).get(source) || 0) + weight);
+    }
+  }
+  return undirected;
+}
+
+// Brandes' algorithm with Dijkstra. Stronger ties are shorter (distance = 1 / weight).
+function betweennessCentrality(adjacency) {
+  const nodes = Array.from(adjacency.keys());
+  const betweenness = new Map(nodes.map(id => [id, 0]));
+
+  for (const source of nodes) {
+    const stack = [];
+    const predecessors = new Map(nodes.map(id => [id, []]));
+    const paths = new Map(nodes.map(id => [id, 0]));
+    const distance = new Map(nodes.map(id => [id, Infinity]));
+    const settled = new Set();
+    paths.set(source, 1);
+    distance.set(source, 0);
+
+    // O(n^2) Dijkstra is plenty for classroom-sized graphs
+    while (settled.size < nodes.length) {
+      let current = null;
+      for (const id of nodes) {
+        if (!settled.has(id) && distance.get(id) < Infinity &&
+            (current === null || distance.get(id) < distance.get(current))) {
+          current = id;
+        }
+      }
+      if (current === null) break;
+
+      settled.add(current);
+      stack.push(current);
+
+      for (const [next, weight] of adjacency.get(current)) {
+        const candidate = distance.get(current) + 1 / weight;
+        const known = distance.get(next);
+        if (candidate < known - EPSILON) {
+          distance.set(next, candidate);
+          paths.set(next, paths.get(current));
+          predecessors.set(next, [current]);
+        } else if (Math.abs(candidate - known) <= EPSILON) {
+          paths.set(next, paths.get(next) + paths.get(current));
+          predecessors.get(next).push(current);
+        }
+      }
+    }
+
+    // Accumulate pair dependencies back from the farthest node
+    const dependency = new Map(nodes.map(id => [id, 0]));
+    while (stack.length > 0) {
+      const node = stack.pop();
+      for (const predecessor of predecessors.get(node)) {
+        const share = (paths.get(predecessor) / paths.get(node)) * (1 + dependency.get(node));
+        dependency.set(predecessor, dependency.get(predecessor) + share);
+      }
+      if (node !== source) {
+        betweenness.set(node, betweenness.get(node) + dependency.get(node));
+      }
+    }
+  }
+
+  return betweenness;
+}
+
+// Weighted PageRank; dangling nodes spread their rank evenly
+function pageRank(adjacency) {
+  const nodes = Array.from(adjacency.keys());
+  const n = nodes.length;
+  if (n === 0) return new Map();
+
+  const outWeight = new Map(nodes.map(id => [
+    id,
+    Array.from(adjacency.get(id).values()).reduce((sum, w) => sum + w, 0)
+  ]));
+  let rank = new Map(nodes.map(id => [id, 1 / n]));
+
+  for (let iteration = 0; iteration < PAGERANK_MAX_ITERATIONS; iteration++) {
+    const danglingRank = nodes
+      .filter(id => outWeight.get(id) === 0)
+      .reduce((sum, id) => sum + rank.get(id), 0);
+    const base = (1 - PAGERANK_DAMPING) / n + PAGERANK_DAMPING * danglingRank / n;
+    const next = new Map(nodes.map(id => [id, base]));
+
+    for (const [source, targets] of adjacency) {
+      const total = outWeight.get(source);
+      for (const [target, weight] of targets) {
+        next.set(target, next.get(target) + PAGERANK_DAMPING * rank.get(source) * weight / total);
+      }
+    }
+
+    const change = nodes.reduce((sum, id) => sum + Math.abs(next.get(id) - rank.get(id)), 0);
+    rank = next;
+    if (change < PAGERANK_TOLERANCE) break;
+  }
+
+  return rank;
+}
+
+// Share of a node's outgoing ties that are returned, and the same for the whole graph
+function reciprocity(adjacency) {
+  const perNode = new Map();
+  let ties = 0;
+  let mutual = 0;
+
+  for (const [source, targets] of adjacency) {
+    let returned = 0;
+    for (const target of targets.keys()) {
+      if (adjacency.get(target).has(source)) returned++;
+    }
+    perNode.set(source, targets.size === 0 ? 0 : returned / targets.size);
+    ties += targets.size;
+    mutual += returned;
+  }
+
+  return { perNode, overall: ties === 0 ? 0 : mutual / ties };
+}
+
+// Local clustering coefficient on the undirected, unweighted view
+function clusteringCoefficient(undirected) {
+  const clustering = new Map();
+
+  for (const [node, neighbours] of undirected) {
+    const ids = Array.from(neighbours.keys());
+    const k = ids.length;
+    if (k < 2) {
+      clustering.set(node, 0);
+      continue;
+    }
+
+    let links = 0;
+    for (let i = 0; i < k; i++) {
+      for (let j = i + 1; j < k; j++) {
+        if (undirected.get(ids[i]).has(ids[j])) links++;
+      }
+    }
+    clustering.set(node, (2 * links) / (k * (k - 1)));
+  }
+
+  return clustering;
+}
+
+// Modularity of a partition (node -> community) on a symmetric weighted graph
+function modularity(undirected, partition) {
+  let total = 0;
+  const internal = new Map();
+  const degreeSum = new Map();
+
+  for (const [node, neighbours] of undirected) {
+    const community = partition.get(node);
+    for (const [neighbour, weight] of neighbours) {
+      total += weight;
+      degreeSum.set(community, (degreeSum.get(community) || 0) + weight);
+      if (partition.get(neighbour) === community) {
+        internal.set(community, (internal.get(community) || 0) + weight);
+      }
+    }
+  }
+
+  if (total === 0) return 0;
+
+  let q = 0;
+  for (const [community, degree] of degreeSum) {
+    q += (internal.get(community) || 0) / total - (degree / total) ** 2;
+  }
+  return q;
+}
+
+// One Louvain local-moving pass; returns node -> community and whether anything moved
+function louvainLocalMoves(graph, totalWeight) {
+  const community = new Map();
+  const communityDegree = new Map();
+  const degree = new Map();
+
+  for (const [node, neighbours] of graph) {
+    const k = Array.from(neighbours.values()).reduce((sum, w) => sum + w, 0);
+    degree.set(node, k);
+    community.set(node, node);
+    communityDegree.set(node, k);
+  }
+
+  let movedAny = false;
+  let moved = true;
+  while (moved) {
+    moved = false;
+    for (const [node, neighbours] of graph) {
+      const current = community.get(node);
+      const k = degree.get(node);
+
+      // Weight from this node into each neighbouring community
+      const links = new Map();
+      for (const [neighbour, weight] of neighbours) {
+        if (neighbour === node) continue;
+        const target = community.get(neighbour);
+        links.set(target, (links.get(target) || 0) + weight);
+      }
+
+      communityDegree.set(current, communityDegree.get(current) - k);
+      let best = current;
+      let bestGain = (links.get(current) || 0) - communityDegree.get(current) * k / totalWeight;
+
+      for (const [target, weight] of links) {
+        const gain = weight - communityDegree.get(target) * k / totalWeight;
+        if (gain > bestGain + EPSILON) {
+          best = target;
+          bestGain = gain;
+        }
+      }
+
+      communityDegree.set(best, communityDegree.get(best) + k);
+      if (best !== current) {
+        community.set(node, best);
+        moved = true;
+        movedAny = true;
+      }
+    }
+  }
+
+  return { community, movedAny };
+}
+
+// Louvain community detection. Nodes are visited in insertion order so the
+// result is stable between polls of an unchanged graph.
+function detectCommunities(undirected) {
+  const totalWeight = Array.from(undirected.values())
+    .reduce((sum, neighbours) => sum + Array.from(neighbours.values()).reduce((s, w) => s + w, 0), 0);
+
+  // Every node starts as its own member list
+  let members = new Map(Array.from(undirected.keys(), id => [id, [id]]));
+  let graph = undirected;
+
+  while (totalWeight > 0) {
+    const { community, movedAny } = louvainLocalMoves(graph, totalWeight);
+    if (!movedAny) break;
+
+    // Collapse each community into a single node
+    const nextMembers = new Map();
+    const nextGraph = new Map();
+    for (const [node, target] of community) {
+      if (!nextMembers.has(target)) {
+        nextMembers.set(target, []);
+        nextGraph.set(target, new Map());
+      }
+      nextMembers.get(target).push(...members.get(node));
+    }
+    for (const [node, neighbours] of graph) {
+      const links = nextGraph.get(community.get(node));
+      for (const [neighbour, weight] of neighbours) {
+        const target = community.get(neighbour);
+        links.set(target, (links.get(target) || 0) + weight);
+      }
+    }
+
+    if (nextMembers.size === members.size) break;
+    members = nextMembers;
+    graph = nextGraph;
+  }
+
+  // Number communities from 1, largest first
+  const groups = Array.from(members.values()).sort((a, b) => b.length - a.length);
+  const partition = new Map();
+  groups.forEach((group, index) => group.forEach(id => partition.set(id, index + 1)));
+
+  return { partition, communities: groups };
+}
+
+// Full metric set for one layer of ties (all channels, or a single channel)
+function analyzeLayer(nodeIds, ties) {
+  const adjacency = buildAdjacency(nodeIds, ties);
+  const undirected = symmetrize(adjacency);
+  const n = nodeIds.length;
+
+  const betweenness = betweennessCentrality(adjacency);
+  const ranks = pageRank(adjacency);
+  const { perNode: reciprocityByNode, overall: overallReciprocity } = reciprocity(adjacency);
+  const clustering = clusteringCoefficient(undirected);
+  const { partition, communities } = detectCommunities(undirected);
+  const pairCount = n > 2 ? (n - 1) * (n - 2) : 0;
+
+  const inVolume = new Map(nodeIds.map(id => [id, 0]));
+  const outVolume = new Map(nodeIds.map(id => [id, 0]));
+  for (const { source, target, weight } of ties) {
+    if (!inVolume.has(source) || !inVolume.has(target)) continue;
+    outVolume.set(source, outVolume.get(source) + weight);
+    inVolume.set(target, inVolume.get(target) + weight);
+  }
+
+  const nodes = new Map(nodeIds.map(id => {
+    const neighbourCommunities = new Set(
+      Array.from(undirected.get(id).keys(), neighbour => partition.get(neighbour))
+    );
+    neighbourCommunities.add(partition.get(id));
+
+    return [id, {
+      inDegree: inVolume.get(id),
+      outDegree: outVolume.get(id),
+      totalVolume: inVolume.get(id) + outVolume.get(id),
+      betweenness: round(betweenness.get(id), 2),
+      normalizedBetweenness: pairCount ? round(betweenness.get(id) / pairCount) : 0,
+      pagerank: round(ranks.get(id) || 0),
+      reciprocity: round(reciprocityByNode.get(id)),
+      clustering: round(clustering.get(id)),
+      community: partition.get(id),
+      linkedCommunities: neighbourCommunities.size
+    }];
+  }));
+
+  return {
+    nodes,
+    communities,
+    modularity: round(modularity(undirected, partition)),
+    reciprocity: round(overallReciprocity)
+  };
+}
+
+// Analyse all ties together and each channel on its own
+function analyzeGraph(nodeIds, ties, channelIds) {
+  const channels = {};
+  for (const channel of channelIds) {
+    channels[channel] = analyzeLayer(nodeIds, ties.filter(tie => tie.channel === channel));
+  }
+
+  return {
+    overall: analyzeLayer(nodeIds, ties),
+    channels
+  };
+}
+
+module.exports = {
+  analyzeGraph,
+  analyzeLayer,
+  betweennessCentrality,
+  pageRank,
+  reciprocity,
+  clusteringCoefficient,
+  detectCommunities,
+  modularity
+};
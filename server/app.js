@@ -0,0 +1,1871 @@
+const express = require('express');
+const http = require('http');
+const socketIo = require('socket.io');
+const cors = require('cors');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { v4: uuidv4 } = require('uuid');
+const { logger: defaultLogger } = require('./logger');
+const { exportFormats } = require('./export');
+const { openApiSpec } = require('./openapi');
+const { validateSimulationOptions, createSimulation } = require('./simulator');
+const { validateDisplayCommand, normalizeDisplayCommand, applyDisplayCommand } = require('./display');
+const {
+  validatePrivacy,
+  normalizePrivacy,
+  isPrivacyActive,
+  publishedEpoch,
+  describePrivacy,
+  publicGraphDelta,
+  buildPublicGraph,
+  buildPublicNode
+} = require('./privacy');
+const { validateCapacity, normalizeName, checkJoin } = require('./lobby');
+const { listLanAddresses, normalizePublicUrl, resolveBaseUrl } = require('./network');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, validateLocale, getBundle, listLocales, bankQuestions, localizeChannels } = require('./i18n');
+const {
+  defaultQuestionSet,
+  validateQuestions,
+  normalizeQuestions,
+  answerMode,
+  answerWeights,
+  countByChannel,
+  selectPerChannel,
+  balanceQuestions
+} = require('./questions');
+const {
+  defaultChannels,
+  validateChannelSchema,
+  toChannelMap,
+  toChannelList
+} = require('./channels');
+const {
+  validateAdvancePolicy,
+  normalizeAdvancePolicy,
+  isAdvanceDue
+} = require('./advance');
+const {
+  defaultChannelMap,
+  createSessionState,
+  serializeSession,
+  restoreSession,
+  answerTargets,
+  forgetParticipant,
+  beginEpoch
+} = require('./session');
+const {
+  addGraphNode,
+  addTie,
+  removeTie,
+  sessionAtEpoch,
+  calculateEmbeddingVector,
+  embeddingToPercentages,
+  generateNodeColor,
+  buildNodePayload,
+  buildPersonalSummary,
+  buildNodeProfile,
+  buildEdgePayload,
+  publicNodeId,
+  answerOptionId,
+  analyzeSession,
+  calculateCentrality,
+  summarizeAnalysis,
+  getNodeRole,
+  getNodeLabel
+} = require('./graph');
+
+// Every API error has the same shape: { error: message, code, ...extra } with a matching status
+function sendError(res, status, code, message, extra = {}) {
+  return res.status(status).json({ error: message, code, ...extra });
+}
+
+// Constant-time comparison of a caller-supplied token
+function tokensMatch(expected, provided) {
+  if (!expected || typeof provided !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(provided);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function getBearerToken(req) {
+  const header = req.get('authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+// Participants whose answers in an epoch still stand (one answer may log several ties)
+function countAnswers(history, epoch) {
+  const ties = new Map(); // participantId -> ties added minus ties retracted
+  for (const event of history) {
+    if (event.epoch !== epoch || (event.type !== 'response' && event.type !== 'retract')) continue;
+    ties.set(event.from, (ties.get(event.from) || 0) + (event.type === 'response' ? 1 : -1));
+  }
+  return Array.from(ties.values()).filter(count => count > 0).length;
+}
+
+function percentile(sorted, fraction) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
+
+function summarizeLatencies(latencies) {
+  if (latencies.length === 0) {
+    return { count: 0, meanMs: null, medianMs: null, p90Ms: null };
+  }
+  const sorted = latencies.slice().sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    meanMs: Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length),
+    medianMs: percentile(sorted, 0.5),
+    p90Ms: percentile(sorted, 0.9)
+  };
+}
+
+// Coalesce graph changes into one versioned delta per short window, so a burst
+// of answers costs one analytics pass. Deltas carry absolute values, so
+// re-applying one the admin already saw in a snapshot is harmless.
+const GRAPH_DELTA_INTERVAL_MS = 150;
+
+// Install directory of a client-side dependency
+function packageDir(name) {
+  return path.dirname(require.resolve(`${name}/package.json`));
+}
+
+// Clear a session's running timers and simulated participants
+function stopSessionTimers(session) {
+  clearTimeout(session.autoAdvanceTimer);
+  clearTimeout(session.questionTimer);
+  clearTimeout(session.graphDeltaTimer);
+  session.simulations.forEach(simulation => simulation.stop());
+  session.disconnectTimers.forEach(timer => clearTimeout(timer));
+  session.disconnectTimers.clear();
+}
+
+// Express app, HTTP server and Socket.IO for one session registry, without listening.
+// server/index.js reads the environment and listens; tests create as many apps as they need.
+//
+//   store                 persistence backend from createStore (required)
+//   corsOrigin            allowed cross-origin callers, or false (default)
+//   adminSecret           shared secret for session creation and the question bank (default none)
+//   reconnectGraceMs      how long a disconnected participant keeps their node (default 60000)
+//   responseRateLimit     answers allowed per socket within responseRateWindowMs (default 5 per 10000)
+//   publicUrl             base URL for join links and QR codes, e.g. behind a proxy (default: from the request)
+//   networkInterfaces     source of the LAN addresses offered for join links (default os.networkInterfaces)
+//   logger                structured logger (default: configured from the environment)
+function createApp({
+  store,
+  corsOrigin = false,
+  adminSecret = null,
+  reconnectGraceMs = 60000,
+  responseRateLimit = 5,
+  responseRateWindowMs = 10000,
+  publicUrl = null,
+  networkInterfaces = os.networkInterfaces,
+  logger = defaultLogger
+}) {
+  const configuredPublicUrl = normalizePublicUrl(publicUrl);
+  const app = express();
+  const server = http.createServer(app);
+  const io = socketIo(server, {
+    cors: {
+      origin: corsOrigin,
+      methods: ["GET", "POST"]
+    }
+  });
+
+  // Admin namespace: only sockets holding the session's admin token may connect
+  const adminIo = io.of('/admin');
+  // Projector namespace: receive-only, and never sent anything a participant holding the session id can't already see
+  const displayIo = io.of('/display');
+
+  app.use(cors({ origin: corsOrigin }));
+  app.use(express.json());
+
+  // Request log on the opt-in `http` debug channel. Route patterns, not URLs, so session ids stay out of the logs.
+  app.use((req, res, next) => {
+    const startedAt = Date.now();
+    res.on('finish', () => {
+      logger.debug('http.request', {
+        method: req.method,
+        route: req.route ? req.baseUrl + req.route.path : req.path.replace(/[0-9a-f]{8}-[0-9a-f-]{27}/gi, ':id'),
+        status: res.statusCode,
+        durationMs: Date.now() - startedAt
+      });
+    });
+    next();
+  });
+  app.use(express.static(path.join(__dirname, '../client/dist')));
+  app.use('/shared', express.static(path.join(__dirname, '../client/shared'))); // scripts used by more than one page
+  // Third-party client assets come from node_modules, so the pages work on a router with no internet
+  app.use('/vendor/three', express.static(packageDir('three')));
+  app.use('/vendor/fonts/inter', express.static(packageDir('@fontsource/inter')));
+  app.use('/vendor/fonts/jetbrains-mono', express.static(packageDir('@fontsource/jetbrains-mono')));
+
+  // REST API, described by /api/v1/openapi.json. Unversioned /api is an alias of v1 kept
+  // for older clients; it alone still serves the legacy next-question and epoch-update routes.
+  const api = express.Router();
+  const legacyApi = express.Router();
+  app.use('/api/v1', api);
+  app.use('/api', legacyApi, api);
+
+  api.get('/openapi.json', (req, res) => {
+    res.json(openApiSpec);
+  });
+
+  // Anything else under /api is a JSON 404, and malformed bodies a JSON 400, rather than Express's HTML pages
+  app.use('/api', (req, res) => {
+    sendError(res, 404, 'not_found', `No route for ${req.method} ${req.baseUrl}${req.path}`);
+  });
+
+  app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+      return sendError(res, 400, 'invalid_json', 'Request body is not valid JSON');
+    }
+    logger.error('http.unhandled_error', { error: err });
+    sendError(res, err.status || 500, 'internal_error', 'Internal server error');
+  });
+
+  // Live session registry (active sessions are restored from the store on boot)
+  const sessions = new Map(); // sessionId -> session
+
+  // Saved question sets (the built-in default set is not stored)
+  const questionSets = new Map(store.questionSets.loadAll().map(set => [set.id, set])); // setId -> { id, name, questions, createdAt, updatedAt }
+
+  function getQuestionSet(setId) {
+    return setId === defaultQuestionSet.id ? defaultQuestionSet : questionSets.get(setId);
+  }
+
+  // Log records of one session carry its correlation id
+  function sessionLog(session) {
+    return logger.child({ session: session.correlationId });
+  }
+
+  // Write-through persistence; a failing store must never break the live session
+  function persistSession(session) {
+    try {
+      store.sessions.save(serializeSession(session));
+    } catch (error) {
+      sessionLog(session).error('session.persist_failed', { error });
+    }
+  }
+
+  // Resolve :sessionId route parameter to a registered session
+  function loadSession(req, res, next, sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) {
+      return sendError(res, 404, 'session_not_found', 'Session not found');
+    }
+    req.session = session;
+    next();
+  }
+  api.param('sessionId', loadSession);
+  legacyApi.param('sessionId', loadSession);
+
+  // Guard for deployment-wide admin routes (session creation, question bank)
+  function requireAdminSecret(req, res, next) {
+    if (adminSecret && !tokensMatch(adminSecret, getBearerToken(req))) {
+      return sendError(res, 401, 'admin_secret_required', 'Admin secret required');
+    }
+    next();
+  }
+
+  // Guard for control routes: caller must present the session's admin token
+  function requireAdmin(req, res, next) {
+    if (!tokensMatch(req.session.adminToken, getBearerToken(req))) {
+      return sendError(res, 401, 'admin_token_required', 'Admin token required');
+    }
+    next();
+  }
+
+  // Admin-token holders read the exact graph by participant id; everyone else gets the
+  // session's public view, by public id
+  function readsPublicView(req) {
+    return !tokensMatch(req.session.adminToken, getBearerToken(req));
+  }
+
+  // Session-wide broadcast to participant sockets, the admin namespace and projector displays
+  function broadcast(session, event, payload) {
+    io.to(session.id).emit(event, payload);
+    adminIo.to(session.id).emit(event, payload);
+    displayIo.to(session.id).emit(event, payload);
+  }
+
+  // Full graph snapshot; `version` tells the admin which graph-delta comes next
+  api.get('/sessions/:sessionId/graph', (req, res) => {
+    const { session } = req;
+    
+    if (readsPublicView(req)) {
+      const { nodes, edges, analytics, privacy } = buildPublicGraph(session);
+      return res.json({ version: session.graphVersion, nodes, edges, channels: toChannelList(session.channels), analytics, privacy });
+    }
+    
+    res.json({ 
+      version: session.graphVersion,
+      nodes: Array.from(session.graph.nodes.keys(), id => buildNodePayload(session, id)),
+      edges: Array.from(session.graph.edges.keys(), edgeId => buildEdgePayload(session, edgeId)),
+      channels: toChannelList(session.channels),
+      analytics: summarizeAnalysis(session),
+      privacy: describePrivacy(session, { exact: true, epoch: session.epochCount })
+    });
+  });
+
+  // Epoch timeline: one entry per epoch with the question it covered
+  api.get('/sessions/:sessionId/epochs', (req, res) => {
+    const { session } = req;
+    
+    // Answer counts of an unpublished epoch would show the progress delayUpdates holds back
+    const lastEpoch = readsPublicView(req) ? publishedEpoch(session) : session.epochCount;
+    const epochs = session.epochs.map(({ epoch, questionIndex, startedAt }) => {
+      const question = session.questions[questionIndex];
+      return {
+        epoch,
+        questionIndex,
+        question: question ? question.text : null,
+        channel: question ? question.channel : null,
+        startedAt,
+        responses: epoch <= lastEpoch ? countAnswers(session.history, epoch) : null
+      };
+    });
+    
+    res.json({ currentEpoch: session.epochCount, epochs });
+  });
+
+  // Graph as it stood at the end of epoch N, replayed from the event log
+  api.get('/sessions/:sessionId/epochs/:epoch/graph', (req, res) => {
+    const { session } = req;
+    const epoch = Number(req.params.epoch);
+    
+    const publicView = readsPublicView(req);
+    const lastEpoch = publicView ? publishedEpoch(session) : session.epochCount;
+    
+    if (!Number.isInteger(epoch) || epoch < 0 || epoch > lastEpoch) {
+      return sendError(res, 404, 'epoch_not_found', 'Epoch not found');
+    }
+    
+    if (publicView) {
+      const { nodes, edges, analytics, privacy } = buildPublicGraph(session, epoch);
+      return res.json({ epoch, nodes, edges, channels: toChannelList(session.channels), analytics, privacy });
+    }
+    
+    const view = sessionAtEpoch(session, epoch);
+    res.json({
+      epoch,
+      nodes: Array.from(view.graph.nodes.keys(), id => buildNodePayload(view, id)),
+      edges: Array.from(view.graph.edges.keys(), edgeId => buildEdgePayload(view, edgeId)),
+      channels: toChannelList(session.channels),
+      analytics: summarizeAnalysis(view),
+      privacy: describePrivacy(session, { exact: true, epoch })
+    });
+  });
+
+  // Milliseconds from a question opening (its latest epoch) to an answer; null if unknown
+  function responseLatency(session, questionIndex, timestamp) {
+    const epoch = session.epochs.findLast(entry => entry.questionIndex === questionIndex);
+    return epoch && epoch.startedAt !== null ? Math.max(0, timestamp - epoch.startedAt) : null;
+  }
+
+  // Operational metrics for one session: no names, only counts and timings
+  api.get('/sessions/:sessionId/metrics', requireAdmin, (req, res) => {
+    const { session } = req;
+    
+    const participants = Array.from(session.participants.values());
+    const latencies = [];
+    const responsesPerQuestion = [];
+    for (const [questionIndex, answers] of session.responses) {
+      let skipped = 0;
+      for (const answer of answers.values()) {
+        if (answer.skipped) {
+          skipped++; // recorded at the deadline, not by the participant
+          continue;
+        }
+        const latency = responseLatency(session, questionIndex, answer.timestamp);
+        if (latency !== null) latencies.push(latency);
+      }
+      responsesPerQuestion.push({ questionIndex, responses: answers.size - skipped, skipped });
+    }
+    responsesPerQuestion.sort((a, b) => a.questionIndex - b.questionIndex);
+    
+    res.json({
+      sessionId: session.id,
+      correlationId: session.correlationId,
+      currentQuestionIndex: session.currentQuestionIndex,
+      participants: {
+        total: participants.length,
+        connected: participants.filter(participant => participant.connected).length
+      },
+      sockets: {
+        participants: io.sockets.adapter.rooms.get(session.id)?.size || 0,
+        admins: adminIo.adapter.rooms.get(session.id)?.size || 0,
+        displays: displayIo.adapter.rooms.get(session.id)?.size || 0
+      },
+      responsesPerQuestion,
+      responseLatency: summarizeLatencies(latencies)
+    });
+  });
+
+  // Process-wide metrics for the operator
+  api.get('/metrics', requireAdminSecret, (req, res) => {
+    const memory = process.memoryUsage();
+    res.json({
+      activeSessions: sessions.size,
+      participants: Array.from(sessions.values()).reduce((total, session) => total + session.participants.size, 0),
+      sockets: io.engine.clientsCount,
+      uptimeSeconds: Math.round(process.uptime()),
+      memory: { rssBytes: memory.rss, heapUsedBytes: memory.heapUsed }
+    });
+  });
+
+  function scheduleGraphDelta(session, changedEdgeId) {
+    if (changedEdgeId) {
+      session.dirtyEdges.add(changedEdgeId);
+    }
+    if (session.graphDeltaTimer) return;
+    
+    session.graphDeltaTimer = setTimeout(() => {
+      session.graphDeltaTimer = null;
+      emitGraphDelta(session);
+    }, GRAPH_DELTA_INTERVAL_MS);
+  }
+
+  function emitGraphDelta(session) {
+    // Any node whose payload differs from the last one sent (metrics are global, so one answer can move many)
+    const nodes = [];
+    for (const id of session.graph.nodes.keys()) {
+      const payload = buildNodePayload(session, id);
+      const serialized = JSON.stringify(payload);
+      if (session.sentNodes.get(id) !== serialized) {
+        session.sentNodes.set(id, serialized);
+        nodes.push(payload);
+      }
+    }
+    
+    // Edges whose last tie was withdrawn are listed by id for removal
+    const dirtyEdges = Array.from(session.dirtyEdges);
+    const edges = dirtyEdges.filter(edgeId => session.graph.edges.has(edgeId)).map(edgeId => buildEdgePayload(session, edgeId));
+    const removedEdges = dirtyEdges.filter(edgeId => !session.graph.edges.has(edgeId));
+    session.dirtyEdges.clear();
+    
+    // Nodes removed by the admin since the last delta
+    const removedNodes = Array.from(session.sentNodes.keys()).filter(id => !session.graph.nodes.has(id));
+    removedNodes.forEach(id => session.sentNodes.delete(id));
+    
+    if (nodes.length === 0 && edges.length === 0 && removedEdges.length === 0 && removedNodes.length === 0) return;
+    
+    session.graphVersion += 1;
+    sessionLog(session).debug('graph.delta', {
+      version: session.graphVersion,
+      nodes: nodes.length,
+      edges: edges.length,
+      removed: removedEdges.length,
+      removedNodes: removedNodes.length
+    });
+    const delta = {
+      version: session.graphVersion,
+      nodes,
+      edges,
+      removedEdges,
+      removedNodes,
+      analytics: summarizeAnalysis(session)
+    };
+    adminIo.to(session.id).emit('graph-delta', delta);
+    
+    // Projectors show the public view: patched by public id, or under privacy mode refetched
+    // whenever it may have moved
+    if (!isPrivacyActive(session.privacy)) {
+      displayIo.to(session.id).emit('graph-delta', publicGraphDelta(session, delta));
+    } else if (publishedEpoch(session) === session.epochCount) {
+      displayIo.to(session.id).emit('graph-updated', { publishedEpoch: session.epochCount });
+    }
+  }
+
+  // Answer options sent to participants - names only while the identity layer exists. Without
+  // it options carry answerOptionIds in label order, so a list kept from before cannot be lined
+  // up with the Node-NN labels, and the viewer's own option is flagged `self`.
+  function getParticipantOptions(session, viewerId) {
+    if (!session.identityDeleted) {
+      return Array.from(session.participants.values()).map(p => ({ id: p.id, name: p.name }));
+    }
+    return Array.from(session.participants.keys(), id => ({
+      id: answerOptionId(session, id),
+      name: getNodeLabel(session, id),
+      ...(id === viewerId && { self: true })
+    })).sort((a, b) => a.name.localeCompare(b.name, 'en', { numeric: true }));
+  }
+  
+  // Participant whose answer option carries this id, if any
+  function resolveAnswerOption(session, optionId) {
+    if (!session.identityDeleted) return optionId;
+    return Array.from(session.participants.keys()).find(id => answerOptionId(session, id) === optionId);
+  }
+  
+  // Question events carry answer options; once those are per phone each socket gets its own
+  function emitToPhones(session, event, buildPayload) {
+    if (!session.identityDeleted) {
+      io.to(session.id).emit(event, buildPayload());
+      return;
+    }
+    for (const participant of session.participants.values()) {
+      if (participant.socketId) io.to(participant.socketId).emit(event, buildPayload(participant.id));
+    }
+  }
+  
+  // Participants whose answer options changed mid-question get the new list
+  function sendParticipantOptions(session) {
+    if (session.currentQuestionIndex < 0 || session.questionClosed || session.completed) return;
+    emitToPhones(session, 'participants-updated', viewerId => ({
+      questionIndex: session.currentQuestionIndex,
+      participants: getParticipantOptions(session, viewerId)
+    }));
+  }
+  
+  // One lobby entry, for admin sockets and the participants route only (it carries the name)
+  function buildLobbyEntry(session, participant) {
+    return {
+      id: participant.id,
+      name: participant.name ?? null,
+      label: getNodeLabel(session, participant.id),
+      connected: participant.connected
+    };
+  }
+  
+  function buildLobbySettings(session) {
+    return {
+      capacity: session.capacity,
+      locked: session.joinLocked,
+      lockOnStart: session.lockOnStart,
+      participantCount: session.participants.size
+    };
+  }
+
+  // State of the current question's deadline. remainingMs is relative to the moment
+  // it is sent, so device clocks never need to agree with the server.
+  function buildQuestionTimer(session) {
+    let remainingMs = session.pausedRemainingMs;
+    if (session.questionClosed) {
+      remainingMs = 0;
+    } else if (session.questionDeadline !== null) {
+      remainingMs = Math.max(0, session.questionDeadline - Date.now());
+    }
+    
+    return {
+      questionIndex: session.currentQuestionIndex,
+      deadline: session.questionDeadline,
+      durationMs: session.advancePolicy.questionDurationMs || null,
+      remainingMs,
+      paused: session.isPaused,
+      closed: session.questionClosed
+    };
+  }
+
+  // Current question as sent to participants
+  function buildQuestionPayload(session, viewerId) {
+    const question = session.questions[session.currentQuestionIndex];
+    return {
+      ...buildQuestionTimer(session),
+      questionIndex: session.currentQuestionIndex,
+      totalQuestions: session.questions.length,
+      question: question.text, // Send just the text, not the whole object
+      key: question.key, // built-in questions only: phones reading another language translate by it
+      channel: question.channel,
+      ...answerMode(question), // mode and maxChoices
+      allowSelfVote: session.allowSelfVote,
+      participants: getParticipantOptions(session, viewerId)
+    };
+  }
+
+  // Current question as shown on the projector: no answer options, so no names
+  function buildDisplayQuestion(session) {
+    const question = session.questions[session.currentQuestionIndex];
+    return {
+      questionIndex: session.currentQuestionIndex,
+      totalQuestions: session.questions.length,
+      question: question.text,
+      channel: question.channel
+    };
+  }
+
+  // Language a phone asked for, kept only when it is supported and differs from the session's
+  function ownLocale(session, locale) {
+    return SUPPORTED_LOCALES.includes(locale) && locale !== session.locale ? locale : undefined;
+  }
+  
+  // Sent to participants once every question has been asked
+  function buildCompletionPayload(session) {
+    return {
+      message: 'All questions completed',
+      totalQuestions: session.questions.length,
+      epochCount: session.epochCount
+    };
+  }
+
+  // Drop a participant. After the grace period ('timeout') their node stays in the graph;
+  // removed by the admin ('removed') their node, ties and answers go too.
+  function removeParticipant(session, participantId, reason = 'timeout') {
+    clearTimeout(session.disconnectTimers.get(participantId));
+    session.disconnectTimers.delete(participantId);
+    
+    const participant = session.participants.get(participantId);
+    if (!participant) return;
+    
+    if (reason === 'removed') {
+      const socket = participant.socketId && io.sockets.sockets.get(participant.socketId);
+      for (const edgeId of forgetParticipant(session, participantId)) {
+        session.dirtyEdges.add(edgeId);
+      }
+      scheduleGraphDelta(session);
+      if (session.display.focusedNodeId === participantId) {
+        const unfocus = { type: 'focus-node', nodeId: null };
+        session.display = applyDisplayCommand(session.display, unfocus);
+        displayIo.to(session.id).emit('display-command', unfocus);
+      }
+      if (socket) {
+        socket.emit('removed-from-session', { message: 'You were removed from this session' });
+        socket.disconnect(true);
+      }
+    } else {
+      session.participants.delete(participantId);
+    }
+    persistSession(session);
+    sessionLog(session).info('participant.left', { participantId, reason, participantCount: session.participants.size });
+    
+    adminIo.to(session.id).emit('participant-left', {
+      participantId,
+      reason,
+      participantCount: session.participants.size,
+      capacity: session.capacity
+    });
+    sendParticipantOptions(session);
+    
+    // The remaining participants may now all have answered
+    if (session.currentQuestionIndex >= 0) {
+      const responseCount = session.responses.get(session.currentQuestionIndex)?.size || 0;
+      adminIo.to(session.id).emit('response-count-update', {
+        questionIndex: session.currentQuestionIndex,
+        responseCount,
+        totalParticipants: session.participants.size
+      });
+      checkForAutoAdvance(session, session.currentQuestionIndex);
+    }
+  }
+
+  // Question bank routes
+  function summarizeQuestionSet(set) {
+    return {
+      id: set.id,
+      name: set.name,
+      builtIn: Boolean(set.builtIn),
+      questionCount: set.questions.length,
+      channels: set.channels || defaultChannels,
+      channelCounts: countByChannel(set.questions)
+    };
+  }
+
+  // Validates a { name, questions, channels? } body; sends a 400 and returns null when invalid.
+  // Without its own channel schema a set targets the default channels.
+  function parseQuestionSetBody(req, res) {
+    const { name, questions, channels } = req.body;
+    
+    if (channels !== undefined) {
+      const schemaErrors = validateChannelSchema(channels);
+      if (schemaErrors.length > 0) {
+        sendError(res, 400, 'invalid_channel_schema', 'Invalid channel schema', { details: schemaErrors });
+        return null;
+      }
+    }
+    
+    const errors = validateQuestions(questions, channels ? toChannelMap(channels) : defaultChannelMap);
+    
+    if (typeof name !== 'string' || !name.trim()) {
+      errors.unshift('name is required');
+    }
+    
+    if (errors.length > 0) {
+      sendError(res, 400, 'invalid_question_set', 'Invalid question set', { details: errors });
+      return null;
+    }
+    
+    return {
+      name: name.trim().slice(0, 80),
+      questions: normalizeQuestions(questions),
+      channels: channels ? toChannelList(toChannelMap(channels)) : undefined
+    };
+  }
+
+  api.get('/channels', (req, res) => {
+    res.json(defaultChannels);
+  });
+
+  // Languages a session or a participant's phone can use, and each one's bundle
+  api.get('/locales', (req, res) => {
+    res.json(listLocales());
+  });
+
+  api.get('/locales/:locale', (req, res) => {
+    if (!SUPPORTED_LOCALES.includes(req.params.locale)) {
+      return sendError(res, 404, 'locale_not_found', 'Locale not found');
+    }
+    res.json({ id: req.params.locale, ...getBundle(req.params.locale) });
+  });
+
+  api.get('/question-sets', (req, res) => {
+    res.json([defaultQuestionSet, ...questionSets.values()].map(summarizeQuestionSet));
+  });
+
+  api.get('/question-sets/:setId', (req, res) => {
+    const set = getQuestionSet(req.params.setId);
+    if (!set) {
+      return sendError(res, 404, 'question_set_not_found', 'Question set not found');
+    }
+    res.json(set);
+  });
+
+  api.post('/question-sets', requireAdminSecret, (req, res) => {
+    const body = parseQuestionSetBody(req, res);
+    if (!body) return;
+    
+    const now = Date.now();
+    const set = { id: uuidv4(), ...body, createdAt: now, updatedAt: now };
+    questionSets.set(set.id, set);
+    store.questionSets.save(set);
+    
+    res.status(201).json(set);
+  });
+
+  api.put('/question-sets/:setId', requireAdminSecret, (req, res) => {
+    const set = questionSets.get(req.params.setId);
+    if (!set) {
+      return getQuestionSet(req.params.setId)
+        ? sendError(res, 403, 'question_set_read_only', 'Built-in question set is read-only')
+        : sendError(res, 404, 'question_set_not_found', 'Question set not found');
+    }
+    
+    const body = parseQuestionSetBody(req, res);
+    if (!body) return;
+    
+    Object.assign(set, body, { updatedAt: Date.now() });
+    store.questionSets.save(set);
+    
+    res.json(set);
+  });
+
+  api.delete('/question-sets/:setId', requireAdminSecret, (req, res) => {
+    if (!questionSets.has(req.params.setId)) {
+      return getQuestionSet(req.params.setId)
+        ? sendError(res, 403, 'question_set_read_only', 'Built-in question set is read-only')
+        : sendError(res, 404, 'question_set_not_found', 'Question set not found');
+    }
+    
+    questionSets.delete(req.params.setId);
+    store.questionSets.remove(req.params.setId);
+    
+    res.json({ success: true });
+  });
+
+  // Pick the session's channel schema, questions, advance policy, self-vote rule, personal summaries, privacy mode and lobby rules. Channels come from the request,
+  // else the chosen question set, else the default model; questions come from an inline
+  // list or a saved set, optionally sampled per channel. Sends a 4xx and returns null when invalid.
+  function resolveSessionSetup(req, res) {
+    const { questions, questionSetId, perChannel, channels, advancePolicy, allowSelfVote, personalSummary, privacy, capacity, lockOnStart, locale = DEFAULT_LOCALE } = req.body;
+    let set = null;
+    
+    const localeError = validateLocale(locale);
+    if (localeError) {
+      sendError(res, 400, 'invalid_request', localeError);
+      return null;
+    }
+
+    if (allowSelfVote !== undefined && typeof allowSelfVote !== 'boolean') {
+      sendError(res, 400, 'invalid_request', 'allowSelfVote must be a boolean');
+      return null;
+    }
+
+    if (personalSummary !== undefined && typeof personalSummary !== 'boolean') {
+      sendError(res, 400, 'invalid_request', 'personalSummary must be a boolean');
+      return null;
+    }
+    
+    if (lockOnStart !== undefined && typeof lockOnStart !== 'boolean') {
+      sendError(res, 400, 'invalid_request', 'lockOnStart must be a boolean');
+      return null;
+    }
+    
+    const capacityError = capacity === undefined ? null : validateCapacity(capacity);
+    if (capacityError) {
+      sendError(res, 400, 'invalid_request', capacityError);
+      return null;
+    }
+    
+    if (privacy !== undefined) {
+      const privacyErrors = validatePrivacy(privacy);
+      if (privacyErrors.length > 0) {
+        sendError(res, 400, 'invalid_privacy', 'Invalid privacy settings', { details: privacyErrors });
+        return null;
+      }
+    }
+    
+    if (advancePolicy !== undefined) {
+      const policyErrors = validateAdvancePolicy(advancePolicy);
+      if (policyErrors.length > 0) {
+        sendError(res, 400, 'invalid_advance_policy', 'Invalid advance policy', { details: policyErrors });
+        return null;
+      }
+    }
+    
+    if (questions === undefined) {
+      set = getQuestionSet(questionSetId || defaultQuestionSet.id);
+      if (!set) {
+        sendError(res, 404, 'question_set_not_found', 'Question set not found');
+        return null;
+      }
+    }
+    
+    if (channels !== undefined) {
+      const schemaErrors = validateChannelSchema(channels);
+      if (schemaErrors.length > 0) {
+        sendError(res, 400, 'invalid_channel_schema', 'Invalid channel schema', { details: schemaErrors });
+        return null;
+      }
+    }
+    
+    // The built-in set and channel names come in the session's language; saved sets as written
+    const channelMap = toChannelMap(channels || (set && set.channels) || localizeChannels(defaultChannels, locale));
+    const candidates = set === defaultQuestionSet ? bankQuestions(locale) : set ? set.questions : questions;
+    
+    const errors = validateQuestions(candidates, channelMap);
+    if (errors.length > 0) {
+      sendError(res, 400, 'invalid_questions', 'Questions do not match the channel schema', { details: errors });
+      return null;
+    }
+    let selected = normalizeQuestions(candidates);
+    
+    if (perChannel !== undefined && perChannel !== null && perChannel !== '') {
+      const count = Number(perChannel);
+      if (!Number.isInteger(count) || count < 1) {
+        sendError(res, 400, 'invalid_request', 'perChannel must be a positive integer');
+        return null;
+      }
+      selected = selectPerChannel(selected, count);
+    }
+    
+    return {
+      questions: selected,
+      channels: channelMap,
+      advancePolicy: normalizeAdvancePolicy(advancePolicy),
+      allowSelfVote: allowSelfVote !== false,
+      personalSummary: personalSummary !== false,
+      privacy: normalizePrivacy(privacy),
+      capacity,
+      lockOnStart: lockOnStart === true,
+      locale
+    };
+  }
+
+  // Base URL for the links a request hands out: the configured public URL, else `lanAddress`
+  // when it is one of this machine's, else the request's host (a LAN address if it is loopback)
+  function requestBaseUrl(req, lanAddress = null) {
+    return resolveBaseUrl({
+      publicUrl: configuredPublicUrl,
+      lanAddress,
+      protocol: req.protocol,
+      host: req.get('host'),
+      lanAddresses: listLanAddresses(networkInterfaces())
+    });
+  }
+  
+  // Addresses the admin can pick for join links, and the one a session created now would use
+  api.get('/network', requireAdminSecret, (req, res) => {
+    res.json({
+      publicUrl: configuredPublicUrl,
+      lanAddresses: listLanAddresses(networkInterfaces()),
+      baseUrl: requestBaseUrl(req)
+    });
+  });
+  
+  // API Routes
+  api.post('/sessions', requireAdminSecret, (req, res) => {
+    const setup = resolveSessionSetup(req, res);
+    if (!setup) return;
+    
+    const { lanAddress } = req.body;
+    if (lanAddress !== undefined && !listLanAddresses(networkInterfaces()).some(entry => entry.address === lanAddress)) {
+      return sendError(res, 400, 'invalid_request', "lanAddress must be one of this machine's network addresses");
+    }
+    
+    const sessionId = uuidv4();
+    
+    // Interleave channels so no channel runs back to back
+    const session = createSessionState(sessionId, balanceQuestions(setup.questions), setup.channels, setup.advancePolicy);
+    session.allowSelfVote = setup.allowSelfVote;
+    session.personalSummary = setup.personalSummary;
+    session.privacy = setup.privacy;
+    session.capacity = setup.capacity ?? session.capacity;
+    session.lockOnStart = setup.lockOnStart;
+    session.locale = setup.locale;
+    session.baseUrl = requestBaseUrl(req, lanAddress);
+    sessions.set(sessionId, session);
+    persistSession(session);
+    sessionLog(session).info('session.created', {
+      questions: session.questions.length,
+      channels: Object.keys(session.channels).length,
+      advanceMode: session.advancePolicy.mode
+    });
+    
+    const joinUrl = `${session.baseUrl}/join/${sessionId}`;
+    const displayUrl = `${session.baseUrl}/display/${sessionId}`;
+    
+    QRCode.toDataURL(joinUrl, (err, qrCode) => {
+      if (err) {
+        return sendError(res, 500, 'qr_code_failed', 'Failed to generate QR code');
+      }
+      
+      res.json({
+        sessionId,
+        adminToken: session.adminToken,
+        totalQuestions: session.questions.length,
+        channels: toChannelList(session.channels),
+        advancePolicy: session.advancePolicy,
+        allowSelfVote: session.allowSelfVote,
+        personalSummary: session.personalSummary,
+        privacy: session.privacy,
+        capacity: session.capacity,
+        lockOnStart: session.lockOnStart,
+        locale: session.locale,
+        joinUrl,
+        displayUrl,
+        qrCode
+      });
+    });
+  });
+
+  api.get('/sessions/:sessionId/status', (req, res) => {
+    const { session } = req;
+    
+    res.json({
+      active: session.isActive,
+      participantCount: session.participants.size,
+      currentQuestionIndex: session.currentQuestionIndex,
+      totalQuestions: session.questions.length,
+      epochCount: session.epochCount,
+      paused: session.isPaused,
+      identityDeleted: session.identityDeleted,
+      advancePolicy: session.advancePolicy,
+      allowSelfVote: session.allowSelfVote,
+      personalSummary: session.personalSummary,
+      privacy: session.privacy,
+      capacity: session.capacity,
+      locked: session.joinLocked,
+      locale: session.locale,
+      completed: session.completed,
+      timer: session.currentQuestionIndex >= 0 ? buildQuestionTimer(session) : null
+    });
+  });
+
+  // Add node profile endpoint
+  api.get('/sessions/:sessionId/node/:nodeId', (req, res) => {
+    const { session } = req;
+    const { nodeId } = req.params;
+    
+    const publicView = readsPublicView(req);
+    const profile = publicView ? buildPublicNode(session, nodeId) : buildNodeProfile(session, nodeId);
+    
+    if (!profile) {
+      return sendError(res, 404, 'node_not_found', 'Node not found');
+    }
+    
+    res.json(publicView ? profile : { ...profile, privacy: describePrivacy(session, { exact: true, epoch: session.epochCount }) });
+  });
+
+  // Anonymised export model: opaque sequential ids, labels and graph data only (never identityMap)
+  function buildExportModel(session) {
+    const nodeIds = Array.from(session.graph.nodes.keys());
+    const exportId = (participantId) => `n${nodeIds.indexOf(participantId) + 1}`;
+    
+    const nodes = nodeIds.map(id => {
+      const embedding = calculateEmbeddingVector(session, id);
+      return {
+        id: exportId(id),
+        label: getNodeLabel(session, id),
+        embedding,
+        percentages: embeddingToPercentages(embedding),
+        color: generateNodeColor(session, embedding),
+        centrality: calculateCentrality(session, id),
+        community: analyzeSession(session).overall.nodes.get(id).community,
+        role: getNodeRole(session, id)
+      };
+    });
+    
+    const edges = Array.from(session.graph.edges.values()).map((edge, index) => ({
+      id: `e${index + 1}`,
+      source: exportId(edge.fromNodeId),
+      target: exportId(edge.toNodeId),
+      channel: edge.channel,
+      color: session.channels[edge.channel].color,
+      weight: Number(edge.weight.toFixed(4)),
+      timestamp: edge.timestamp
+    }));
+    
+    return {
+      session: {
+        id: session.id,
+        exportedAt: Date.now(),
+        epochCount: session.epochCount,
+        totalQuestions: session.questions.length,
+        identityDeleted: session.identityDeleted
+      },
+      channels: toChannelList(session.channels),
+      nodes,
+      edges
+    };
+  }
+
+  // Session export: json, nodes.csv, edges.csv, graphml or gexf
+  api.get('/sessions/:sessionId/export/:format', requireAdmin, (req, res) => {
+    const { session } = req;
+    const format = Object.hasOwn(exportFormats, req.params.format) && exportFormats[req.params.format];
+    
+    if (!format) {
+      return sendError(res, 400, 'unknown_export_format', `Unknown export format. Use one of: ${Object.keys(exportFormats).join(', ')}`);
+    }
+    
+    // e.g. collective-embedding-1a2b3c4d.gexf, collective-embedding-1a2b3c4d-nodes.csv
+    const basename = `collective-embedding-${session.id.slice(0, 8)}`;
+    const separator = req.params.format.includes('.') ? '-' : '.';
+    
+    res.attachment(`${basename}${separator}${req.params.format}`);
+    res.type(format.contentType);
+    res.send(format.serialize(buildExportModel(session)));
+  });
+
+  legacyApi.post('/sessions/:sessionId/next-question', requireAdmin, (req, res) => {
+    const { session } = req;
+    // Check if all participants have answered the current question
+    if (session.currentQuestionIndex >= 0) {
+      const currentResponses = session.responses.get(session.currentQuestionIndex);
+      const responseCount = currentResponses ? currentResponses.size : 0;
+      const participantCount = session.participants.size;
+      
+      if (responseCount < participantCount && participantCount > 0) {
+        return sendError(res, 409, 'waiting_for_responses', `Waiting for all participants to answer. ${responseCount}/${participantCount} have responded.`, {
+          responseCount,
+          participantCount
+        });
+      }
+    }
+    
+    if (session.currentQuestionIndex < session.questions.length - 1) {
+      openNextQuestion(session);
+      const question = session.questions[session.currentQuestionIndex];
+      
+      res.json({ success: true, question, questionIndex: session.currentQuestionIndex });
+    } else {
+      sendError(res, 409, 'no_more_questions', 'No more questions');
+    }
+  });
+
+  legacyApi.post('/sessions/:sessionId/epoch-update', requireAdmin, (req, res) => {
+    const { session } = req;
+    beginEpoch(session);
+    persistSession(session);
+    broadcast(session, 'epoch-update', { epochCount: session.epochCount });
+    res.json({ success: true, epochCount: session.epochCount });
+  });
+
+  // Question deadline: runs `remainingMs` from now, then closes the question
+  function armQuestionDeadline(session, remainingMs) {
+    const questionIndex = session.currentQuestionIndex;
+    
+    clearTimeout(session.questionTimer);
+    session.questionDeadline = Date.now() + remainingMs;
+    session.questionTimer = setTimeout(() => {
+      if (!session.isActive || questionIndex !== session.currentQuestionIndex) return;
+      closeQuestion(session);
+      persistSession(session);
+      checkForAutoAdvance(session, questionIndex);
+    }, remainingMs);
+  }
+
+  // Stop the clock on the current question and record everyone who has not answered as skipping
+  function closeQuestion(session) {
+    const questionIndex = session.currentQuestionIndex;
+    if (questionIndex < 0 || session.questionClosed) return;
+    
+    clearTimeout(session.questionTimer);
+    session.questionTimer = null;
+    session.pausedRemainingMs = null;
+    session.questionClosed = true;
+    
+    if (!session.responses.has(questionIndex)) {
+      session.responses.set(questionIndex, new Map());
+    }
+    const answers = session.responses.get(questionIndex);
+    const channel = session.questions[questionIndex].channel;
+    const timestamp = Date.now();
+    for (const participantId of session.participants.keys()) {
+      if (!answers.has(participantId)) {
+        answers.set(participantId, { targetParticipantIds: [], channel, timestamp, skipped: true });
+      }
+    }
+    
+    sessionLog(session).info('question.closed', {
+      questionIndex,
+      responses: answers.size,
+      skipped: Array.from(answers.values()).filter(answer => answer.skipped).length
+    });
+    broadcast(session, 'question-closed', { questionIndex });
+    if (session.privacy.delayUpdates) {
+      displayIo.to(session.id).emit('graph-updated', { publishedEpoch: publishedEpoch(session) }); // the delayed answers are out
+    }
+    adminIo.to(session.id).emit('response-count-update', {
+      questionIndex,
+      responseCount: answers.size,
+      totalParticipants: session.participants.size
+    });
+  }
+
+  // Move to the next question: close the current one, start the new one's clock and open a new epoch
+  function openNextQuestion(session) {
+    closeQuestion(session);
+    clearTimeout(session.autoAdvanceTimer);
+    
+    session.currentQuestionIndex++;
+    session.questionClosed = false;
+    session.questionDeadline = null;
+    session.pausedRemainingMs = null;
+    
+    const { questionDurationMs } = session.advancePolicy;
+    if (questionDurationMs > 0) {
+      if (session.isPaused) {
+        session.pausedRemainingMs = questionDurationMs; // The clock starts on resume
+      } else {
+        armQuestionDeadline(session, questionDurationMs);
+      }
+    }
+    
+    beginEpoch(session); // Every question is an epoch, however it was reached
+    persistSession(session);
+    sessionLog(session).info('question.opened', {
+      questionIndex: session.currentQuestionIndex,
+      channel: session.questions[session.currentQuestionIndex].channel,
+      epoch: session.epochCount
+    });
+    
+    emitToPhones(session, 'new-question', viewerId => buildQuestionPayload(session, viewerId));
+    displayIo.to(session.id).emit('new-question', buildDisplayQuestion(session));
+    broadcast(session, 'epoch-update', { epochCount: session.epochCount });
+  }
+
+  // Auto-advance logic: once the session's policy is satisfied, wait advanceDelayMs then advance
+  // A completed session keeps its last question closed; it must not complete again
+  function checkForAutoAdvance(session, questionIndex) {
+    if (session.isPaused || session.completed || questionIndex !== session.currentQuestionIndex) return;
+    
+    const currentResponses = session.responses.get(questionIndex);
+    const responseCount = currentResponses ? currentResponses.size : 0;
+    const participantCount = session.participants.size;
+    
+    if (isAdvanceDue(session.advancePolicy, { responseCount, participantCount, closed: session.questionClosed })) {
+      clearTimeout(session.autoAdvanceTimer);
+      session.autoAdvanceTimer = setTimeout(() => {
+        advanceToNextQuestion(session);
+      }, session.advancePolicy.advanceDelayMs);
+    }
+  }
+
+  function advanceToNextQuestion(session) {
+    if (session.isPaused || !session.isActive || session.completed) return;
+    
+    if (session.currentQuestionIndex < session.questions.length - 1) {
+      openNextQuestion(session);
+    } else {
+      closeQuestion(session);
+      session.completed = true;
+      persistSession(session);
+      sessionLog(session).info('session.completed', { questions: session.questions.length, epochCount: session.epochCount });
+      
+      // All questions completed - notify participants
+      broadcast(session, 'session-complete', buildCompletionPayload(session));
+      session.participants.forEach(participant => sendPersonalSummary(session, participant));
+    }
+  }
+
+  // A participant's own embedding, role and description, emitted to their socket only.
+  // Skipped when the admin disabled it or the identity layer is already gone.
+  function sendPersonalSummary(session, participant) {
+    if (!session.personalSummary || session.identityDeleted || !participant.socketId) return;
+    io.to(participant.socketId).emit('personal-summary', buildPersonalSummary(session, participant.id, participant.locale || session.locale));
+  }
+
+  // Pause/resume endpoint
+  api.post('/sessions/:sessionId/pause-resume', requireAdmin, (req, res) => {
+    const { session } = req;
+    const { pause } = req.body;
+    
+    if (typeof pause !== 'boolean') {
+      return sendError(res, 400, 'invalid_request', 'pause must be a boolean');
+    }
+    
+    if (pause) {
+      session.isPaused = true;
+      clearTimeout(session.autoAdvanceTimer);
+      
+      // Freeze the question clock
+      if (session.questionDeadline !== null && !session.questionClosed) {
+        clearTimeout(session.questionTimer);
+        session.pausedRemainingMs = Math.max(0, session.questionDeadline - Date.now());
+        session.questionDeadline = null;
+      }
+    } else {
+      session.isPaused = false;
+      
+      if (session.pausedRemainingMs !== null) {
+        armQuestionDeadline(session, session.pausedRemainingMs);
+        session.pausedRemainingMs = null;
+      }
+      // Check if we should auto-advance current question
+      if (session.currentQuestionIndex >= 0) {
+        checkForAutoAdvance(session, session.currentQuestionIndex);
+      }
+    }
+    persistSession(session);
+    sessionLog(session).info(session.isPaused ? 'session.paused' : 'session.resumed', {
+      questionIndex: session.currentQuestionIndex
+    });
+    
+    if (session.currentQuestionIndex >= 0) {
+      broadcast(session, 'question-timer', buildQuestionTimer(session));
+    }
+    
+    res.json({ success: true, paused: session.isPaused });
+  });
+
+  // End session endpoint
+  api.post('/sessions/:sessionId/end', requireAdmin, (req, res) => {
+    const { session } = req;
+    if (!session.isActive) {
+      return sendError(res, 409, 'session_inactive', 'No active session to end');
+    }
+    
+    stopSessionTimers(session);
+    
+    // Notify all participants that session ended
+    broadcast(session, 'session-ended', {
+      message: 'Session ended by administrator',
+      reason: 'admin_terminated'
+    });
+    
+    // Drop the session from the registry and release its room
+    session.isActive = false;
+    sessions.delete(session.id);
+    persistSession(session); // Archived without names
+    sessionLog(session).info('session.ended', { participants: session.participants.size, epochCount: session.epochCount });
+    io.in(session.id).socketsLeave(session.id);
+    adminIo.in(session.id).disconnectSockets();
+    displayIo.in(session.id).disconnectSockets();
+    
+    res.json({ success: true, message: 'Session ended successfully' });
+  });
+
+  // Identity removal endpoint (permanent and irreversible)
+  api.post('/sessions/:sessionId/delete-identities', requireAdmin, (req, res) => {
+    const { session } = req;
+    if (!session.isActive) {
+      return sendError(res, 409, 'session_inactive', 'No active session');
+    }
+
+    if (session.identityDeleted) {
+      return sendError(res, 409, 'identity_already_deleted', 'Identity layer already removed');
+    }
+
+    // Wipe every name-to-node mapping; only ids and graph structure remain
+    for (const participant of session.participants.values()) {
+      delete participant.name;
+    }
+    session.graph.identityMap.clear();
+    session.identityDeleted = true;
+    // New public ids too, or a graph kept from before would map the Node-NN labels back to
+    // names. Projectors refetch it; open questions get options under new ids.
+    session.publicIdSeed = crypto.randomBytes(16).toString('hex');
+    persistSession(session); // Overwrites the snapshot so names leave the disk too
+    sessionLog(session).info('identity.deleted', { participantCount: session.participants.size });
+    scheduleGraphDelta(session); // Relabel nodes as Node-NN
+    displayIo.to(session.id).emit('graph-updated', { publishedEpoch: publishedEpoch(session) });
+    sendParticipantOptions(session);
+
+    broadcast(session, 'identity-deleted', {
+      message: 'Identity layer removed',
+      participantCount: session.participants.size
+    });
+
+    res.json({ success: true, message: 'Identity layer removed' });
+  });
+
+  // Spawn simulated participants. They connect to this server's own Socket.IO endpoint
+  // and join like phones do, so they count towards the participant cap.
+  api.post('/sessions/:sessionId/simulate', requireAdmin, (req, res) => {
+    const { session } = req;
+    const { count, strategy = 'random', skipRate } = req.body;
+    
+    const errors = validateSimulationOptions({ count, strategy, skipRate });
+    if (errors.length > 0) {
+      return sendError(res, 400, 'invalid_simulation', 'Invalid simulation', { details: errors });
+    }
+    
+    const log = sessionLog(session);
+    const simulation = createSimulation({
+      url: `http://127.0.0.1:${server.address().port}`,
+      sessionId: session.id,
+      count,
+      strategy,
+      skipRate,
+      channels: Object.keys(session.channels),
+      firstNumber: session.simulatedCount + 1,
+      log: (message) => log.info('simulate.bot', { message })
+    });
+    session.simulations.push(simulation);
+    session.simulatedCount += count;
+    
+    simulation.ready.then(({ joined, rejected }) => {
+      log.info('simulate.started', { strategy, joined, rejected });
+      const result = { strategy, joined, rejected, participantCount: session.participants.size };
+      if (joined === 0) {
+        return sendError(res, 409, 'simulation_rejected', 'No simulated participant could join', result);
+      }
+      res.json({ success: true, ...result });
+    });
+  });
+
+  // Disconnect every simulated participant (their nodes stay, like any departed participant's)
+  api.delete('/sessions/:sessionId/simulate', requireAdmin, (req, res) => {
+    const { session } = req;
+    const stopped = session.simulations.reduce((total, sim) => total + sim.bots.filter(bot => bot.participantId).length, 0);
+    
+    session.simulations.forEach(simulation => simulation.stop());
+    session.simulations = [];
+    
+    res.json({ success: true, stopped });
+  });
+
+  // Lobby: who has joined (names for the admin only), removal, lock and capacity
+  api.get('/sessions/:sessionId/participants', requireAdmin, (req, res) => {
+    const { session } = req;
+    
+    res.json({
+      ...buildLobbySettings(session),
+      participants: Array.from(session.participants.values(), participant => buildLobbyEntry(session, participant))
+    });
+  });
+
+  // Remove a participant with their node, ties and answers (e.g. a joke name)
+  api.delete('/sessions/:sessionId/participants/:participantId', requireAdmin, (req, res) => {
+    const { session } = req;
+    if (!session.participants.has(req.params.participantId)) {
+      return sendError(res, 404, 'participant_not_found', 'Participant not found');
+    }
+    
+    // Node-NN labels follow graph order, so removing a node would renumber the ones after it
+    if (session.identityDeleted) {
+      return sendError(res, 409, 'identity_deleted', 'Participants cannot be removed once the identity layer is gone');
+    }
+    
+    removeParticipant(session, req.params.participantId, 'removed');
+    res.json({ success: true, participantCount: session.participants.size });
+  });
+
+  // Lock or unlock joining and change the capacity: { locked?, capacity? }
+  api.post('/sessions/:sessionId/lobby', requireAdmin, (req, res) => {
+    const { session } = req;
+    const { locked, capacity } = req.body;
+    
+    if (locked !== undefined && typeof locked !== 'boolean') {
+      return sendError(res, 400, 'invalid_request', 'locked must be a boolean');
+    }
+    
+    if (capacity !== undefined) {
+      const capacityError = validateCapacity(capacity);
+      if (capacityError) {
+        return sendError(res, 400, 'invalid_request', capacityError);
+      }
+      if (capacity < session.participants.size) {
+        return sendError(res, 409, 'capacity_below_participants', 'More participants have already joined', {
+          participantCount: session.participants.size
+        });
+      }
+    }
+    
+    session.joinLocked = locked ?? session.joinLocked;
+    session.capacity = capacity ?? session.capacity;
+    persistSession(session);
+    sessionLog(session).info('lobby.updated', { locked: session.joinLocked, capacity: session.capacity });
+    
+    const settings = buildLobbySettings(session);
+    adminIo.to(session.id).emit('lobby-updated', settings);
+    res.json({ success: true, ...settings });
+  });
+
+  // Start first question automatically (for auto-advance mode)
+  api.post('/sessions/:sessionId/start-questions', requireAdmin, (req, res) => {
+    const { session } = req;
+    if (!session.isActive) {
+      return sendError(res, 409, 'session_inactive', 'No active session');
+    }
+    
+    if (session.currentQuestionIndex >= 0) {
+      return sendError(res, 409, 'questions_already_started', 'Questions already started');
+    }
+    
+    if (session.lockOnStart && !session.joinLocked) {
+      session.joinLocked = true;
+      adminIo.to(session.id).emit('lobby-updated', buildLobbySettings(session));
+    }
+    // Opened even in a lobby paused beforehand; its clock then starts on resume
+    openNextQuestion(session);
+    res.json({ success: true });
+  });
+
+  // Admin namespace handshake: { sessionId, token } in the socket auth payload
+  adminIo.use((socket, next) => {
+    const { sessionId, token } = socket.handshake.auth || {};
+    const session = sessions.get(sessionId);
+    
+    if (!session || !tokensMatch(session.adminToken, token)) {
+      return next(new Error('Admin token required'));
+    }
+    
+    socket.sessionId = session.id;
+    next();
+  });
+
+  adminIo.on('connection', (socket) => {
+    socket.join(socket.sessionId);
+    
+    // Remote control of the session's projector displays
+    socket.on('display-command', async (command) => {
+      const session = sessions.get(socket.sessionId);
+      if (!session) return;
+      
+      const problem = validateDisplayCommand(command, session);
+      if (problem) {
+        socket.emit('display-command-rejected', { type: command && command.type, message: problem });
+        return;
+      }
+      
+      const relayed = normalizeDisplayCommand(command);
+      if (relayed.type === 'show-qr' && relayed.visible) {
+        try {
+          relayed.qr = await getJoinQr(session, socket);
+        } catch (error) {
+          sessionLog(session).error('display.qr_failed', { error: error.message });
+          socket.emit('display-command-rejected', { type: relayed.type, message: 'Failed to generate QR code' });
+          return;
+        }
+      }
+      
+      session.display = applyDisplayCommand(session.display, relayed);
+      sessionLog(session).debug('display.command', { type: relayed.type });
+      if (relayed.type === 'focus-node' && relayed.nodeId) {
+        relayed.nodeId = publicNodeId(session, relayed.nodeId); // The projector's graph is the public view
+      }
+      displayIo.to(session.id).emit('display-command', relayed);
+    });
+  });
+
+  // Join URL and QR code for the projector, on the base URL chosen at session creation
+  // (sessions saved before it was stored fall back to the admin's address)
+  async function getJoinQr(session, socket) {
+    if (!session.display.qr) {
+      const baseUrl = session.baseUrl || resolveBaseUrl({
+        publicUrl: configuredPublicUrl,
+        protocol: socket.handshake.secure ? 'https' : 'http',
+        host: socket.handshake.headers.host,
+        lanAddresses: listLanAddresses(networkInterfaces())
+      });
+      const joinUrl = `${baseUrl}/join/${session.id}`;
+      session.display.qr = { joinUrl, qrCode: await QRCode.toDataURL(joinUrl) };
+    }
+    return session.display.qr;
+  }
+
+  // Display handshake: { sessionId } only. Displays get the anonymised graph, the question
+  // text and projector commands, never names, and cannot send anything back.
+  displayIo.use((socket, next) => {
+    const { sessionId } = socket.handshake.auth || {};
+    const session = sessions.get(sessionId);
+    
+    if (!session || !session.isActive) {
+      return next(new Error('Invalid session'));
+    }
+    
+    socket.sessionId = session.id;
+    next();
+  });
+
+  displayIo.on('connection', (socket) => {
+    const session = sessions.get(socket.sessionId);
+    socket.join(session.id);
+    
+    // Catch up a (re)loaded projector: focus, hidden channels, QR and the question on screen
+    const { focusedNodeId, hiddenChannels, qrVisible, qr } = session.display;
+    socket.emit('display-state', {
+      focusedNodeId: focusedNodeId && publicNodeId(session, focusedNodeId),
+      hiddenChannels,
+      qr: qrVisible ? qr : null
+    });
+    if (session.currentQuestionIndex >= 0 && !session.completed) {
+      socket.emit('new-question', buildDisplayQuestion(session));
+    }
+  });
+
+  // Sliding-window limit on a socket's submissions; rejected attempts don't count
+  function isRateLimited(socket) {
+    const now = Date.now();
+    socket.responseTimes = (socket.responseTimes || []).filter(time => now - time < responseRateWindowMs);
+    if (socket.responseTimes.length >= responseRateLimit) return true;
+    
+    socket.responseTimes.push(now);
+    return false;
+  }
+
+  // Socket.IO connection handling (participants: join-session and submit-response only)
+  io.on('connection', (socket) => {
+    logger.debug('socket.connected', { socketId: socket.id });
+    
+    socket.on('join-session', (data) => {
+      // One participant per socket: another join would add a second node for the same phone
+      const bound = sessions.get(socket.sessionId)?.participants.get(socket.participantId);
+      if (bound && bound.socketId === socket.id) {
+        socket.emit('join-error', { reason: 'already-joined', message: 'This device has already joined the session' });
+        return;
+      }
+      
+      const { sessionId } = data || {};
+      const session = sessions.get(sessionId);
+      
+      if (!session || !session.isActive) {
+        socket.emit('join-error', { reason: 'invalid-session', message: 'Invalid session' });
+        return;
+      }
+
+      // Capacity, lock, identity removal and the name itself
+      const name = normalizeName(data.name);
+      const refusal = checkJoin(session, name);
+      if (refusal) {
+        sessionLog(session).info('participant.refused', { reason: refusal.reason });
+        socket.emit('join-error', refusal);
+        return;
+      }
+      
+      const participantId = uuidv4();
+      const resumeToken = crypto.randomBytes(24).toString('hex');
+      session.participants.set(participantId, {
+        id: participantId,
+        name,
+        socketId: socket.id,
+        resumeToken,
+        locale: ownLocale(session, data.locale),
+        connected: true
+      });
+      
+      // Initialize node in graph with embedding structure
+      addGraphNode(session.graph, participantId, session.channels);
+      session.history.push({ type: 'join', epoch: session.epochCount, timestamp: Date.now(), participantId });
+      
+      if (!session.identityDeleted) {
+        session.graph.identityMap.set(participantId, name);
+      }
+      scheduleGraphDelta(session);
+      
+      socket.participantId = participantId;
+      socket.sessionId = session.id;
+      socket.join(session.id);
+      
+      persistSession(session);
+      
+      socket.emit('joined', {
+        participantId,
+        resumeToken,
+        participantCount: session.participants.size
+      });
+      
+      adminIo.to(session.id).emit('participant-joined', {
+        participant: buildLobbyEntry(session, session.participants.get(participantId)),
+        participantCount: session.participants.size,
+        capacity: session.capacity
+      });
+      sendParticipantOptions(session);
+      sessionLog(session).info('participant.joined', { participantId, participantCount: session.participants.size });
+    });
+    
+    socket.on('submit-response', (data) => {
+      const { questionIndex, targetParticipantId, targetParticipantIds } = data || {};
+      const participantId = socket.participantId;
+      const session = sessions.get(socket.sessionId);
+      
+      if (!participantId || !session) {
+        return;
+      }
+      
+      const reject = (reason, message) => {
+        sessionLog(session).info('response.rejected', { questionIndex, participantId, reason });
+        socket.emit('response-rejected', { questionIndex, reason, message });
+      };
+      
+      if (isRateLimited(socket)) {
+        return reject('rate-limited', 'Too many answers, please wait a moment');
+      }
+      
+      // Nothing to answer before the first question or after the last
+      if (session.currentQuestionIndex < 0 || session.completed) {
+        return reject('no-open-question', 'There is no open question');
+      }
+      
+      if (questionIndex !== session.currentQuestionIndex) {
+        return reject('stale-question', 'That question is no longer open');
+      }
+      
+      // Too late: the deadline passed and the non-answer was already recorded as a skip
+      if (session.questionClosed) {
+        socket.emit('question-closed', { questionIndex });
+        return;
+      }
+      
+      // targetParticipantIds (ordered best-first for ranked questions), or a single
+      // targetParticipantId; an empty list or null is a skip
+      const question = session.questions[questionIndex];
+      const { maxChoices } = answerMode(question);
+      let targets = targetParticipantIds;
+      if (targets === undefined) {
+        targets = targetParticipantId === null ? [] : [targetParticipantId];
+      }
+      
+      if (!Array.isArray(targets) || targets.length > maxChoices) {
+        return reject('too-many-targets', `Choose at most ${maxChoices} ${maxChoices === 1 ? 'person' : 'people'}`);
+      }
+      
+      if (new Set(targets).size !== targets.length) {
+        return reject('duplicate-target', 'Each person can only be chosen once');
+      }
+      targets = targets.map(id => resolveAnswerOption(session, id));
+      
+      // Every target must be a node in this session
+      if (targets.some(id => !session.graph.nodes.has(id))) {
+        return reject('unknown-target', 'That participant is not in this session');
+      }
+      
+      if (targets.includes(participantId) && !session.allowSelfVote) {
+        return reject('self-vote', 'You cannot choose yourself in this session');
+      }
+      
+      const channel = question.channel;
+      const timestamp = Date.now();
+      
+      // Store response with channel information
+      if (!session.responses.has(questionIndex)) {
+        session.responses.set(questionIndex, new Map());
+      }
+      const answers = session.responses.get(questionIndex);
+      const previous = answers.get(participantId);
+      answers.set(participantId, {
+        targetParticipantIds: targets,
+        channel,
+        timestamp
+      });
+      
+      // A resubmission replaces the earlier answer instead of adding to it
+      if (previous) {
+        for (const [targetId, weight] of answerWeights(question, answerTargets(previous))) {
+          if (!session.graph.nodes.has(targetId)) continue;
+          const edgeId = removeTie(session.graph, participantId, targetId, channel, weight);
+          session.history.push({
+            type: 'retract',
+            epoch: session.epochCount,
+            timestamp,
+            questionIndex,
+            from: participantId,
+            to: targetId,
+            channel,
+            weight
+          });
+          scheduleGraphDelta(session, edgeId);
+        }
+      }
+      
+      // Update graph with channel-specific connections (one answer totals weight 1), and log them for replay
+      for (const [targetId, weight] of answerWeights(question, targets)) {
+        const edgeId = addTie(session.graph, participantId, targetId, channel, timestamp, weight);
+        session.history.push({
+          type: 'response',
+          epoch: session.epochCount,
+          timestamp,
+          questionIndex,
+          from: participantId,
+          to: targetId,
+          channel,
+          weight
+        });
+        scheduleGraphDelta(session, edgeId);
+      }
+      
+      persistSession(session);
+      sessionLog(session).debug('response.recorded', {
+        questionIndex,
+        participantId,
+        targets: targets.length,
+        replaced: Boolean(previous),
+        latencyMs: responseLatency(session, questionIndex, timestamp)
+      });
+      
+      socket.emit('response-submitted');
+      
+      // Notify admin of response count
+      const responseCount = session.responses.get(questionIndex)?.size || 0;
+      adminIo.to(session.id).emit('response-count-update', {
+        questionIndex,
+        responseCount,
+        totalParticipants: session.participants.size
+      });
+      
+      // Check for auto-advance after response is submitted
+      checkForAutoAdvance(session, questionIndex);
+    });
+    
+    // The phone switched language: only the personal summary is built on the server,
+    // so a finished session sends it again in the new language
+    socket.on('set-locale', (data) => {
+      const session = sessions.get(socket.sessionId);
+      const participant = session && session.participants.get(socket.participantId);
+      if (!participant) return;
+      
+      participant.locale = ownLocale(session, (data || {}).locale);
+      persistSession(session);
+      if (session.completed) {
+        sendPersonalSummary(session, participant);
+      }
+    });
+    
+    // Reattach a returning device to its existing participant, node and edges
+    socket.on('rejoin-session', (data) => {
+      const { sessionId, participantId, resumeToken } = data || {};
+      const session = sessions.get(sessionId);
+      const participant = session && session.participants.get(participantId);
+      
+      if (!session || !session.isActive || !participant || !tokensMatch(participant.resumeToken, resumeToken)) {
+        socket.emit('rejoin-error', { message: 'Unable to resume session' });
+        return;
+      }
+      
+      clearTimeout(session.disconnectTimers.get(participantId));
+      session.disconnectTimers.delete(participantId);
+      
+      participant.socketId = socket.id;
+      participant.connected = true;
+      if (data.locale !== undefined) {
+        participant.locale = ownLocale(session, data.locale);
+      }
+      socket.participantId = participantId;
+      socket.sessionId = session.id;
+      socket.join(session.id);
+      
+      socket.emit('rejoined', {
+        participantId,
+        participantCount: session.participants.size
+      });
+      
+      // Replay the end screen, the current question, or confirm it was already answered
+      if (session.completed) {
+        socket.emit('session-complete', buildCompletionPayload(session));
+        sendPersonalSummary(session, participant);
+      } else if (session.currentQuestionIndex >= 0) {
+        const answered = session.responses.get(session.currentQuestionIndex)?.has(participantId);
+        if (answered) {
+          socket.emit('response-submitted');
+        } else {
+          socket.emit('new-question', buildQuestionPayload(session, participantId));
+        }
+      }
+    });
+    
+    socket.on('disconnect', () => {
+      const session = sessions.get(socket.sessionId);
+      (session ? sessionLog(session) : logger).debug('socket.disconnected', {
+        socketId: socket.id,
+        participantId: socket.participantId
+      });
+      if (!session) return;
+      
+      const participant = session.participants.get(socket.participantId);
+      if (!participant || participant.socketId !== socket.id) return;
+      
+      // Keep the participant for a grace period so a sleeping phone can resume
+      participant.connected = false;
+      participant.socketId = null;
+      session.disconnectTimers.set(participant.id, setTimeout(() => {
+        removeParticipant(session, participant.id);
+      }, reconnectGraceMs));
+    });
+  });
+
+  // Serve client files
+  app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, '../client/admin.html'));
+  });
+
+  app.get('/display/:sessionId', (req, res) => {
+    res.sendFile(path.join(__dirname, '../client/display.html'));
+  });
+
+  app.get('/join/:sessionId', (req, res) => {
+    res.sendFile(path.join(__dirname, '../client/participant.html'));
+  });
+
+  app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, '../client/index.html'));
+  });
+
+  // Bring active sessions back after a restart or redeploy
+  function restoreActiveSessions() {
+    for (const snapshot of store.sessions.loadAll()) {
+      if (!snapshot.isActive) continue;
+      
+      const session = restoreSession(snapshot);
+      sessions.set(session.id, session);
+      
+      // Devices get the usual grace period to reconnect
+      for (const participantId of session.participants.keys()) {
+        session.disconnectTimers.set(participantId, setTimeout(() => {
+          removeParticipant(session, participantId);
+        }, reconnectGraceMs));
+      }
+      
+      if (session.currentQuestionIndex >= 0) {
+        // Deadlines keep running across a restart (one that passed while down closes at once)
+        if (session.questionDeadline !== null && !session.questionClosed) {
+          armQuestionDeadline(session, Math.max(0, session.questionDeadline - Date.now()));
+        }
+        checkForAutoAdvance(session, session.currentQuestionIndex);
+      }
+    }
+    
+    if (sessions.size > 0) {
+      logger.info('sessions.restored', { count: sessions.size });
+    }
+  }
+  
+  // Stop every socket, timer and simulation so the process (or a test) can exit.
+  // Timers are cleared last: disconnecting sockets starts their grace periods.
+  function close() {
+    return new Promise((resolve) => {
+      io.close(() => {
+        for (const session of sessions.values()) {
+          stopSessionTimers(session);
+        }
+        resolve();
+      });
+    });
+  }
+  
+  return { app, server, io, sessions, restoreActiveSessions, close };
+}
+
+module.exports = {
+  createApp
+};
@@ -0,0 +1,79 @@
+// Channel schema: the dimensions of the embedding space.
+// A schema is an ordered list of { id, name, color }; sessions keep it as a
+// map (id -> { color, name }) so lookups read like the original channels object.
+
+const { DEFAULT_LOCALE, localizeChannels } = require('./i18n');
+
+// Default four-channel model, named in the default locale (see localizeChannels for the others)
+const defaultChannels = localizeChannels([
+  { id: "cognitive", color: "#3A7BFF" },
+  { id: "creative", color: "#8B5CF6" },
+  { id: "technical", color: "#22C55E" },
+  { id: "social", color: "#F59E0B" }
+], DEFAULT_LOCALE);
+
+const MAX_CHANNELS = 12;
+const CHANNEL_ID_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Returns a list of human-readable problems; empty when the schema is valid
+function validateChannelSchema(schema) {
+  if (!Array.isArray(schema) || schema.length === 0) {
+    return ['channels must be a non-empty array'];
+  }
+  if (schema.length > MAX_CHANNELS) {
+    return [`a channel schema holds at most ${MAX_CHANNELS} channels`];
+  }
+
+  const errors = [];
+  const seen = new Set();
+
+  schema.forEach((channel, index) => {
+    if (!channel || typeof channel.id !== 'string' || !CHANNEL_ID_PATTERN.test(channel.id)) {
+      errors.push(`channels[${index}].id must be a lowercase slug (letters, digits, - or _)`);
+    } else if (seen.has(channel.id)) {
+      errors.push(`channels[${index}].id "${channel.id}" is duplicated`);
+    } else {
+      seen.add(channel.id);
+    }
+
+    if (!channel || typeof channel.name !== 'string' || !channel.name.trim()) {
+      errors.push(`channels[${index}].name is required`);
+    }
+
+    if (!channel || typeof channel.color !== 'string' || !COLOR_PATTERN.test(channel.color)) {
+      errors.push(`channels[${index}].color must be a #RRGGBB hex colour`);
+    }
+  });
+
+  return errors;
+}
+
+// Schema list -> { id: { color, name } }
+function toChannelMap(schema) {
+  return schema.reduce((map, channel) => {
+    map[channel.id] = { color: channel.color, name: channel.name.trim() };
+    return map;
+  }, {});
+}
+
+// { id: { color, name } } -> schema list
+function toChannelList(channelMap) {
+  return Object.entries(channelMap).map(([id, value]) => ({ id, ...value }));
+}
+
+// Zeroed embedding vector with one entry per channel
+function emptyEmbedding(channelMap) {
+  return Object.keys(channelMap).reduce((embedding, id) => {
+    embedding[id] = 0;
+    return embedding;
+  }, {});
+}
+
+module.exports = {
+  defaultChannels,
+  validateChannelSchema,
+  toChannelMap,
+  toChannelList,
+  emptyEmbedding
+};
@@ -0,0 +1,86 @@
+// Projector display: a read-only view of a session, driven remotely from the admin console.
+// Admin sockets send display-command; the server validates it, folds it into the session's
+// display state (so a reloaded projector catches up) and relays it to the /display namespace.
+//
+//   focus-node       { nodeId }             highlight a node and open its panel (null clears)
+//   toggle-channel   { channel, visible }   show or hide one channel's edges
+//   show-qr          { visible }            overlay the join QR code
+//   replay           { action }             'start' or 'stop' replaying the epochs
+
+const DISPLAY_COMMANDS = ['focus-node', 'toggle-channel', 'show-qr', 'replay'];
+const REPLAY_ACTIONS = ['start', 'stop'];
+
+// What a freshly connected projector should show (kept in memory only)
+function createDisplayState() {
+  return {
+    focusedNodeId: null,
+    hiddenChannels: [],
+    qrVisible: false,
+    qr: null // { joinUrl, qrCode } once the admin has shown it
+  };
+}
+
+// Returns a human-readable problem, or null when the command is valid for this session
+function validateDisplayCommand(command, session) {
+  if (!command || typeof command !== 'object' || Array.isArray(command)) {
+    return 'display-command must be an object';
+  }
+
+  if (command.type === 'focus-node') {
+    if (command.nodeId !== null && !session.graph.nodes.has(command.nodeId)) {
+      return 'nodeId must be a node of this session, or null to clear the focus';
+    }
+  } else if (command.type === 'toggle-channel') {
+    if (!Object.prototype.hasOwnProperty.call(session.channels, command.channel)) {
+      return `channel must be one of: ${Object.keys(session.channels).join(', ')}`;
+    }
+    if (typeof command.visible !== 'boolean') {
+      return 'visible must be a boolean';
+    }
+  } else if (command.type === 'show-qr') {
+    if (typeof command.visible !== 'boolean') {
+      return 'visible must be a boolean';
+    }
+  } else if (command.type === 'replay') {
+    if (!REPLAY_ACTIONS.includes(command.action)) {
+      return `action must be one of: ${REPLAY_ACTIONS.join(', ')}`;
+    }
+  } else {
+    return `type must be one of: ${DISPLAY_COMMANDS.join(', ')}`;
+  }
+
+  return null;
+}
+
+// Known fields of a (validated) command, so nothing else is relayed to the projector
+function normalizeDisplayCommand(command) {
+  const { type } = command;
+  if (type === 'focus-node') return { type, nodeId: command.nodeId };
+  if (type === 'toggle-channel') return { type, channel: command.channel, visible: command.visible };
+  if (type === 'show-qr') return { type, visible: command.visible };
+  return { type, action: command.action };
+}
+
+// Display state after a normalized command; replays are transient and leave it unchanged
+function applyDisplayCommand(state, command) {
+  if (command.type === 'focus-node') {
+    return { ...state, focusedNodeId: command.nodeId };
+  }
+  if (command.type === 'toggle-channel') {
+    const hiddenChannels = state.hiddenChannels.filter(channel => channel !== command.channel);
+    return { ...state, hiddenChannels: command.visible ? hiddenChannels : [...hiddenChannels, command.channel] };
+  }
+  if (command.type === 'show-qr') {
+    return { ...state, qrVisible: command.visible };
+  }
+  return state;
+}
+
+module.exports = {
+  DISPLAY_COMMANDS,
+  REPLAY_ACTIONS,
+  createDisplayState,
+  validateDisplayCommand,
+  normalizeDisplayCommand,
+  applyDisplayCommand
+};
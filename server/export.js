@@ -0,0 +1,225 @@
+// Serializers for session exports (JSON, CSV, GraphML, GEXF).
+// All functions take the anonymised export model built in app.js:
+// { session, channels: [{ id, name, color }], nodes: [...], edges: [...] }
+// Names never appear in the model, so nothing here can leak them.
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n') + '\n';
+}
+
+// Accepts "#RRGGBB" or "rgb(r, g, b)"
+function parseColor(color) {
+  const hex = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(color || '');
+  if (hex) {
+    return { r: parseInt(hex[1], 16), g: parseInt(hex[2], 16), b: parseInt(hex[3], 16) };
+  }
+  const rgb = /rgb\((\d+),\s*(\d+),\s*(\d+)\)/.exec(color || '');
+  if (rgb) {
+    return { r: Number(rgb[1]), g: Number(rgb[2]), b: Number(rgb[3]) };
+  }
+  return { r: 136, g: 136, b: 136 };
+}
+
+function toJson(model) {
+  return JSON.stringify(model, null, 2);
+}
+
+function toNodesCsv(model) {
+  const channelIds = model.channels.map(c => c.id);
+  const header = [
+    'id', 'label', 'role', 'color',
+    ...channelIds.map(id => `${id}_weight`),
+    ...channelIds.map(id => `${id}_percent`),
+    'in_degree', 'out_degree', 'betweenness', 'pagerank', 'reciprocity', 'clustering',
+    'total_volume', 'community'
+  ];
+  const rows = model.nodes.map(node => [
+    node.id, node.label, node.role, node.color,
+    ...channelIds.map(id => node.embedding[id] || 0),
+    ...channelIds.map(id => node.percentages[id] || 0),
+    node.centrality.inDegree, node.centrality.outDegree,
+    node.centrality.betweenness, node.centrality.pagerank,
+    node.centrality.reciprocity, node.centrality.clustering,
+    node.centrality.totalVolume, node.community
+  ]);
+  return toCsv(header, rows);
+}
+
+function toEdgesCsv(model) {
+  const header = ['id', 'source', 'target', 'channel', 'color', 'weight', 'timestamp'];
+  const rows = model.edges.map(edge => [
+    edge.id, edge.source, edge.target, edge.channel, edge.color, edge.weight,
+    new Date(edge.timestamp).toISOString()
+  ]);
+  return toCsv(header, rows);
+}
+
+function toGraphml(model) {
+  const channelIds = model.channels.map(c => c.id);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    '  <key id="role" for="node" attr.name="role" attr.type="string"/>',
+    '  <key id="color" for="node" attr.name="color" attr.type="string"/>',
+    ...channelIds.map(id => `  <key id="w_${id}" for="node" attr.name="${id}_weight" attr.type="double"/>`),
+    ...channelIds.map(id => `  <key id="p_${id}" for="node" attr.name="${id}_percent" attr.type="double"/>`),
+    '  <key id="in_degree" for="node" attr.name="in_degree" attr.type="double"/>',
+    '  <key id="out_degree" for="node" attr.name="out_degree" attr.type="double"/>',
+    '  <key id="betweenness" for="node" attr.name="betweenness" attr.type="double"/>',
+    '  <key id="pagerank" for="node" attr.name="pagerank" attr.type="double"/>',
+    '  <key id="reciprocity" for="node" attr.name="reciprocity" attr.type="double"/>',
+    '  <key id="clustering" for="node" attr.name="clustering" attr.type="double"/>',
+    '  <key id="total_volume" for="node" attr.name="total_volume" attr.type="double"/>',
+    '  <key id="community" for="node" attr.name="community" attr.type="int"/>',
+    '  <key id="channel" for="edge" attr.name="channel" attr.type="string"/>',
+    '  <key id="edge_color" for="edge" attr.name="color" attr.type="string"/>',
+    '  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>',
+    '  <key id="timestamp" for="edge" attr.name="timestamp" attr.type="string"/>',
+    '  <graph id="collective-embedding" edgedefault="directed">'
+  ];
+
+  const data = (key, value) => `      <data key="${key}">${escapeXml(value)}</data>`;
+
+  for (const node of model.nodes) {
+    lines.push(`    <node id="${escapeXml(node.id)}">`);
+    lines.push(data('label', node.label), data('role', node.role), data('color', node.color));
+    channelIds.forEach(id => lines.push(data(`w_${id}`, node.embedding[id] || 0)));
+    channelIds.forEach(id => lines.push(data(`p_${id}`, node.percentages[id] || 0)));
+    lines.push(
+      data('in_degree', node.centrality.inDegree),
+      data('out_degree', node.centrality.outDegree),
+      data('betweenness', node.centrality.betweenness),
+      data('pagerank', node.centrality.pagerank),
+      data('reciprocity', node.centrality.reciprocity),
+      data('clustering', node.centrality.clustering),
+      data('total_volume', node.centrality.totalVolume),
+      data('community', node.community)
+    );
+    lines.push('    </node>');
+  }
+
+  for (const edge of model.edges) {
+    lines.push(`    <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`);
+    lines.push(
+      data('channel', edge.channel),
+      data('edge_color', edge.color),
+      data('weight', edge.weight),
+      data('timestamp', new Date(edge.timestamp).toISOString())
+    );
+    lines.push('    </edge>');
+  }
+
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+function toGexf(model) {
+  const channelIds = model.channels.map(c => c.id);
+  const nodeAttributes = [
+    ['role', 'string'],
+    ...channelIds.map(id => [`${id}_weight`, 'double']),
+    ...channelIds.map(id => [`${id}_percent`, 'double']),
+    ['in_degree', 'double'],
+    ['out_degree', 'double'],
+    ['betweenness', 'double'],
+    ['pagerank', 'double'],
+    ['reciprocity', 'double'],
+    ['clustering', 'double'],
+    ['total_volume', 'double'],
+    ['community', 'integer']
+  ];
+  const edgeAttributes = [['channel', 'string'], ['timestamp', 'string']];
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">',
+    `  <meta lastmodifieddate="${new Date(model.session.exportedAt).toISOString().slice(0, 10)}">`,
+    '    <creator>Collective Embedding</creator>',
+    '  </meta>',
+    '  <graph defaultedgetype="directed">',
+    '    <attributes class="node">',
+    ...nodeAttributes.map(([title, type], i) => `      <attribute id="${i}" title="${title}" type="${type}"/>`),
+    '    </attributes>',
+    '    <attributes class="edge">',
+    ...edgeAttributes.map(([title, type], i) => `      <attribute id="${i}" title="${title}" type="${type}"/>`),
+    '    </attributes>',
+    '    <nodes>'
+  ];
+
+  const attvalue = (index, value) => `          <attvalue for="${index}" value="${escapeXml(value)}"/>`;
+  const vizColor = (color) => {
+    const { r, g, b } = parseColor(color);
+    return `<viz:color r="${r}" g="${g}" b="${b}"/>`;
+  };
+
+  for (const node of model.nodes) {
+    const values = [
+      node.role,
+      ...channelIds.map(id => node.embedding[id] || 0),
+      ...channelIds.map(id => node.percentages[id] || 0),
+      node.centrality.inDegree,
+      node.centrality.outDegree,
+      node.centrality.betweenness,
+      node.centrality.pagerank,
+      node.centrality.reciprocity,
+      node.centrality.clustering,
+      node.centrality.totalVolume,
+      node.community
+    ];
+    lines.push(`      <node id="${escapeXml(node.id)}" label="${escapeXml(node.label)}">`);
+    lines.push('        <attvalues>', ...values.map((value, i) => attvalue(i, value)), '        </attvalues>');
+    lines.push(`        ${vizColor(node.color)}`);
+    lines.push('      </node>');
+  }
+
+  lines.push('    </nodes>', '    <edges>');
+
+  // Channels are distinct edge kinds so parallel edges between the same pair survive import
+  for (const edge of model.edges) {
+    lines.push(`      <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}" weight="${edge.weight}" kind="${escapeXml(edge.channel)}">`);
+    lines.push(
+      '        <attvalues>',
+      attvalue(0, edge.channel),
+      attvalue(1, new Date(edge.timestamp).toISOString()),
+      '        </attvalues>'
+    );
+    lines.push(`        ${vizColor(edge.color)}`);
+    lines.push('      </edge>');
+  }
+
+  lines.push('    </edges>', '  </graph>', '</gexf>');
+  return lines.join('\n') + '\n';
+}
+
+// format -> { contentType, serialize }
+const exportFormats = {
+  'json': { contentType: 'application/json', serialize: toJson },
+  'nodes.csv': { contentType: 'text/csv', serialize: toNodesCsv },
+  'edges.csv': { contentType: 'text/csv', serialize: toEdgesCsv },
+  'graphml': { contentType: 'application/graphml+xml', serialize: toGraphml },
+  'gexf': { contentType: 'application/gexf+xml', serialize: toGexf }
+};
+
+module.exports = {
+  exportFormats,
+  toJson,
+  toNodesCsv,
+  toEdgesCsv,
+  toGraphml,
+  toGexf
+};
@@ -0,0 +1,473 @@
+// Graph model and node presentation, free of Express and Socket.IO so it can be unit tested.
+// Functions take a session (or the read-only epoch view from sessionAtEpoch) and only read
+// its channels, graph, locale, publicIdSeed and identityDeleted flag.
+
+const crypto = require('crypto');
+const { analyzeGraph } = require('./analytics');
+const { emptyEmbedding, toChannelList } = require('./channels');
+const { getBundle, format, channelName } = require('./i18n');
+
+// Graph mutations, shared by live answers and epoch replay
+function addGraphNode(graph, participantId, channelMap) {
+  graph.nodes.set(participantId, {
+    id: participantId,
+    embedding: emptyEmbedding(channelMap),
+    connections: new Map()
+  });
+}
+
+// Strengthen the from -> to tie on one channel by `amount` (fractional for multi-select
+// and ranked answers); returns the edge id
+function addTie(graph, fromId, toId, channel, timestamp, amount = 1) {
+  const sourceNode = graph.nodes.get(fromId);
+  if (!sourceNode.connections.has(toId)) {
+    sourceNode.connections.set(toId, new Map());
+  }
+
+  const channelWeights = sourceNode.connections.get(toId);
+  const weight = (channelWeights.get(channel) || 0) + amount;
+  channelWeights.set(channel, weight);
+
+  const edgeId = `${fromId}-${toId}-${channel}`;
+  graph.edges.set(edgeId, { fromNodeId: fromId, toNodeId: toId, channel, weight, timestamp });
+
+  graph.nodes.get(toId).embedding[channel] += amount;
+  graph.revision++;
+  return edgeId;
+}
+
+// Weights below this are rounding leftovers of fractional ties
+const TIE_EPSILON = 1e-9;
+
+// Undo one addTie (a replaced answer); the edge disappears when its weight reaches zero
+function removeTie(graph, fromId, toId, channel, amount = 1) {
+  const channelWeights = graph.nodes.get(fromId).connections.get(toId);
+  const edgeId = `${fromId}-${toId}-${channel}`;
+  if (!channelWeights || !channelWeights.get(channel)) return edgeId;
+
+  const weight = channelWeights.get(channel) - amount;
+  if (weight > TIE_EPSILON) {
+    channelWeights.set(channel, weight);
+    graph.edges.get(edgeId).weight = weight;
+  } else {
+    channelWeights.delete(channel);
+    if (channelWeights.size === 0) {
+      graph.nodes.get(fromId).connections.delete(toId);
+    }
+    graph.edges.delete(edgeId);
+  }
+
+  graph.nodes.get(toId).embedding[channel] -= amount;
+  graph.revision++;
+  return edgeId;
+}
+
+// Drop a node with every tie it sent or received; returns the ids of the removed edges
+function removeGraphNode(graph, participantId) {
+  const removedEdges = [];
+  for (const [edgeId, edge] of graph.edges) {
+    if (edge.fromNodeId !== participantId && edge.toNodeId !== participantId) continue;
+
+    if (edge.toNodeId !== participantId) {
+      graph.nodes.get(edge.toNodeId).embedding[edge.channel] -= edge.weight;
+    } else if (edge.fromNodeId !== participantId) {
+      graph.nodes.get(edge.fromNodeId).connections.delete(participantId);
+    }
+    graph.edges.delete(edgeId);
+    removedEdges.push(edgeId);
+  }
+
+  graph.nodes.delete(participantId);
+  graph.identityMap.delete(participantId);
+  graph.revision++;
+  return removedEdges;
+}
+
+// Read-only view of the session whose graph is replayed from the event log up to `epoch`
+function sessionAtEpoch(session, epoch) {
+  const graph = { nodes: new Map(), edges: new Map(), identityMap: session.graph.identityMap, revision: 0 };
+
+  for (const event of session.history) {
+    if (event.epoch > epoch) continue;
+    if (event.type === 'join') {
+      addGraphNode(graph, event.participantId, session.channels);
+    } else if (graph.nodes.has(event.from) && graph.nodes.has(event.to)) {
+      if (event.type === 'retract') {
+        removeTie(graph, event.from, event.to, event.channel, event.weight ?? 1);
+      } else {
+        addTie(graph, event.from, event.to, event.channel, event.timestamp, event.weight ?? 1);
+      }
+    }
+  }
+
+  return { ...session, graph };
+}
+
+// Embedding vector: incoming weight per channel, updated as each response lands
+function calculateEmbeddingVector(session, participantId) {
+  const node = session.graph.nodes.get(participantId);
+
+  // Return raw weights (not percentages) for better vector composition
+  return node ? { ...node.embedding } : emptyEmbedding(session.channels);
+}
+
+function hexToRgb(hex) {
+  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+  return result ? {
+    r: parseInt(result[1], 16),
+    g: parseInt(result[2], 16),
+    b: parseInt(result[3], 16)
+  } : { r: 0, g: 0, b: 0 };
+}
+
+// Node color: the dominant channel's color, tinted by the others; gray without incoming ties
+function generateNodeColor(session, embedding) {
+  const totalWeight = Object.values(embedding).reduce((sum, val) => sum + val, 0);
+  if (totalWeight === 0) return "#888888"; // Default gray for unconnected nodes
+
+  // Find dominant channel for stronger color representation
+  let dominantChannel = null;
+  let maxWeight = 0;
+
+  for (const [channel, weight] of Object.entries(embedding)) {
+    if (weight > maxWeight) {
+      maxWeight = weight;
+      dominantChannel = channel;
+    }
+  }
+
+  if (!dominantChannel) return "#888888";
+
+  // Use dominant channel as base, then blend with secondary channels
+  const baseColor = hexToRgb(session.channels[dominantChannel].color);
+  const dominantStrength = Math.min(0.8, maxWeight / totalWeight); // 80% max for base
+
+  let r = baseColor.r * dominantStrength;
+  let g = baseColor.g * dominantStrength;
+  let b = baseColor.b * dominantStrength;
+
+  // Add secondary channel influences
+  for (const [channel, weight] of Object.entries(embedding)) {
+    if (channel !== dominantChannel && weight > 0) {
+      const color = hexToRgb(session.channels[channel].color);
+      const factor = (weight / totalWeight) * 0.5; // Secondary channels have less influence
+      r += color.r * factor;
+      g += color.g * factor;
+      b += color.b * factor;
+    }
+  }
+
+  // Ensure colors stay within valid range
+  r = Math.min(255, Math.max(0, Math.round(r)));
+  g = Math.min(255, Math.max(0, Math.round(g)));
+  b = Math.min(255, Math.max(0, Math.round(b)));
+
+  return `rgb(${r}, ${g}, ${b})`;
+}
+
+// Raw embedding as sent over the API: weight per channel, rounded like edge weights
+function roundEmbedding(embedding) {
+  const rounded = {};
+  for (const [channel, weight] of Object.entries(embedding)) {
+    rounded[channel] = Number(weight.toFixed(4));
+  }
+  return rounded;
+}
+
+// Each channel's share of the total weight (0-1, summing to 1; all zero for an isolated node)
+function normalizeEmbedding(embedding) {
+  const total = Object.values(embedding).reduce((sum, val) => sum + val, 0);
+
+  const shares = {};
+  for (const [channel, weight] of Object.entries(embedding)) {
+    shares[channel] = total === 0 ? 0 : Number((weight / total).toFixed(4));
+  }
+
+  return shares;
+}
+
+// Helper function to convert raw embedding to percentages for UI display
+function embeddingToPercentages(embedding) {
+  const total = Object.values(embedding).reduce((sum, val) => sum + val, 0);
+
+  const percentages = {};
+  for (const [channel, weight] of Object.entries(embedding)) {
+    percentages[channel] = total === 0 ? 0 : Math.round((weight / total) * 100);
+  }
+
+  return percentages;
+}
+
+// Node as drawn by the admin view (graph snapshot and graph-delta)
+function buildNodePayload(session, id) {
+  const embedding = calculateEmbeddingVector(session, id);
+  const centrality = calculateCentrality(session, id);
+
+  return {
+    id,
+    label: getNodeLabel(session, id),
+    embedding: embeddingToPercentages(embedding), // Whole percentages for UI display
+    rawEmbedding: roundEmbedding(embedding),
+    normalizedEmbedding: normalizeEmbedding(embedding),
+    color: generateNodeColor(session, embedding), // But use raw weights for color calculation
+    size: Math.max(10, centrality.totalVolume * 3 + 15), // Base size + interaction volume
+    centrality,
+    community: analyzeSession(session).overall.nodes.get(id).community,
+    role: getNodeRole(session, id),
+    isAnonymous: session.identityDeleted,
+    description: generateNodeDescription(session, id, embedding, centrality)
+  };
+}
+
+// A participant's own node, as shown privately on their phone at the end of the session,
+// in the language that phone reads (default: the session's)
+function buildPersonalSummary(session, id, locale = session.locale) {
+  const embedding = calculateEmbeddingVector(session, id);
+  const centrality = calculateCentrality(session, id);
+
+  return {
+    label: getNodeLabel(session, id),
+    channels: toChannelList(session.channels).map(channel => ({ ...channel, name: channelName(session, channel.id, locale) })),
+    embedding: embeddingToPercentages(embedding),
+    color: generateNodeColor(session, embedding),
+    role: getNodeRole(session, id),
+    description: generateNodeDescription(session, id, embedding, centrality, locale)
+  };
+}
+
+// Full node profile for the node route: metrics per channel and outgoing ties. Null for unknown nodes.
+function buildNodeProfile(session, id) {
+  const node = session.graph.nodes.get(id);
+  if (!node) return null;
+
+  const embedding = calculateEmbeddingVector(session, id);
+  const centrality = calculateCentrality(session, id);
+
+  return {
+    id,
+    label: getNodeLabel(session, id),
+    embedding: embeddingToPercentages(embedding), // Whole percentages for UI display
+    rawEmbedding: roundEmbedding(embedding),
+    normalizedEmbedding: normalizeEmbedding(embedding),
+    centrality,
+    community: analyzeSession(session).overall.nodes.get(id).community,
+    channelMetrics: calculateChannelMetrics(session, id),
+    role: getNodeRole(session, id),
+    description: generateNodeDescription(session, id, embedding, centrality),
+    connections: Array.from(node.connections.entries()).map(([targetId, channelWeights]) => ({
+      targetId,
+      targetLabel: getNodeLabel(session, targetId),
+      channels: Array.from(channelWeights.entries()).map(([channel, weight]) => ({
+        channel,
+        weight,
+        color: session.channels[channel].color
+      }))
+    }))
+  };
+}
+
+// Channel-colored edge; ids are stable so deltas can update weights in place
+function buildEdgePayload(session, edgeId) {
+  const edge = session.graph.edges.get(edgeId);
+  return {
+    id: edgeId,
+    source: edge.fromNodeId,
+    target: edge.toNodeId,
+    channel: edge.channel,
+    color: session.channels[edge.channel].color,
+    weight: Number(edge.weight.toFixed(4)),
+    thickness: Math.max(2, Math.min(edge.weight * 3, 10)), // Better thickness scaling
+    timestamp: edge.timestamp
+  };
+}
+
+// Bridges must sit on at least this share of all shortest paths
+const BRIDGE_BETWEENNESS = 0.1;
+
+// Cached per session; the graph revision changes on every tie added or removed
+const analysisCache = new WeakMap();
+
+function graphSignature(session) {
+  return `${session.graph.nodes.size}:${session.graph.revision}`;
+}
+
+// Betweenness, PageRank, reciprocity, clustering and communities, overall and per channel
+function analyzeSession(session) {
+  const signature = graphSignature(session);
+  const cached = analysisCache.get(session);
+  if (cached && cached.signature === signature) {
+    return cached.analysis;
+  }
+
+  const ties = Array.from(session.graph.edges.values()).map(edge => ({
+    source: edge.fromNodeId,
+    target: edge.toNodeId,
+    channel: edge.channel,
+    weight: edge.weight
+  }));
+  const analysis = analyzeGraph(
+    Array.from(session.graph.nodes.keys()),
+    ties,
+    Object.keys(session.channels)
+  );
+
+  analysisCache.set(session, { signature, analysis });
+  return analysis;
+}
+
+function calculateCentrality(session, participantId) {
+  const metrics = analyzeSession(session).overall.nodes.get(participantId);
+  if (!metrics) {
+    return { inDegree: 0, outDegree: 0, betweenness: 0, pagerank: 0, reciprocity: 0, clustering: 0, totalVolume: 0 };
+  }
+
+  const { inDegree, outDegree, betweenness, pagerank, reciprocity, clustering, totalVolume } = metrics;
+  return { inDegree, outDegree, betweenness, pagerank, reciprocity, clustering, totalVolume };
+}
+
+// Per-channel metrics for one node
+function calculateChannelMetrics(session, participantId) {
+  const channelMetrics = {};
+  for (const [channel, layer] of Object.entries(analyzeSession(session).channels)) {
+    const { betweenness, pagerank, reciprocity, clustering, community } = layer.nodes.get(participantId);
+    channelMetrics[channel] = { betweenness, pagerank, reciprocity, clustering, community };
+  }
+  return channelMetrics;
+}
+
+// Graph-level summary of one analysis layer
+function summarizeLayer(layer) {
+  return {
+    modularity: layer.modularity,
+    reciprocity: layer.reciprocity,
+    communities: layer.communities.map((nodes, index) => ({ id: index + 1, size: nodes.length, nodes }))
+  };
+}
+
+function summarizeAnalysis(session) {
+  const analysis = analyzeSession(session);
+  const channels = {};
+  for (const [channel, layer] of Object.entries(analysis.channels)) {
+    channels[channel] = summarizeLayer(layer);
+  }
+  return { overall: summarizeLayer(analysis.overall), channels };
+}
+
+// Structural role from the overall metrics
+function getNodeRole(session, participantId) {
+  const metrics = analyzeSession(session).overall.nodes.get(participantId);
+  if (!metrics) return "Stabilizer";
+  return classifyRole(metrics);
+}
+
+// Role from a node's volumes; without betweenness and communities it is never a Bridge
+function classifyRole({ inDegree, outDegree, normalizedBetweenness = 0, linkedCommunities = 0 }) {
+
+  // A bridge carries many shortest paths and touches more than one community
+  if (normalizedBetweenness >= BRIDGE_BETWEENNESS && linkedCommunities > 1) return "Bridge";
+  if (outDegree > inDegree * 1.5) return "Initiator";
+  if (inDegree > outDegree * 1.5) return "Amplifier";
+  if (inDegree > 3 && outDegree > 3) return "Connector";
+  return "Stabilizer";
+}
+
+// Opaque ids of nodes and edges in the views read without the admin token. Phones get the
+// participant ids next to names in their answer options, so public payloads never carry them
+// (nor edge ids, which are built from them); a new publicIdSeed re-keys every public id.
+function publicNodeId(session, participantId) {
+  return crypto.createHmac('sha256', session.publicIdSeed).update(`node:${participantId}`).digest('hex').slice(0, 16);
+}
+
+function publicEdgeId(session, edgeId) {
+  return crypto.createHmac('sha256', session.publicIdSeed).update(`edge:${edgeId}`).digest('hex').slice(0, 16);
+}
+
+// Id of a participant's answer option once the identity layer is removed. Options labelled
+// Node-NN must not reuse the participant ids that earlier options paired with names.
+function answerOptionId(session, participantId) {
+  return crypto.createHmac('sha256', session.publicIdSeed).update(`option:${participantId}`).digest('hex').slice(0, 16);
+}
+
+// Stable pseudonym derived from an id (nodes use their public id), e.g. Gamma-26
+function generateAnonymousLabel(id) {
+  const hash = id.split('').reduce((a, b) => {
+    a = ((a << 5) - a) + b.charCodeAt(0);
+    return a & a;
+  }, 0);
+  const adjectives = ['Alpha', 'Beta', 'Gamma', 'Delta', 'Sigma', 'Theta', 'Lambda', 'Omega'];
+  const numbers = Math.abs(hash) % 100;
+  const adjective = adjectives[Math.abs(hash) % adjectives.length];
+  return `${adjective}-${numbers.toString().padStart(2, '0')}`;
+}
+
+// One-paragraph profile text for the node panel (empty until the node has ties)
+function generateNodeDescription(session, participantId, embedding, centrality, locale = session.locale, role = getNodeRole(session, participantId)) {
+  const totalConnections = centrality.totalVolume;
+
+  // Don't show description if no interactions yet
+  if (totalConnections === 0) {
+    return "";
+  }
+
+  const sentences = getBundle(locale).descriptions;
+  const dominantChannel = Object.entries(embedding).reduce((a, b) => embedding[a[0]] > embedding[b[0]] ? a : b)[0];
+  const description = [format(sentences.dominant, { channel: channelName(session, dominantChannel, locale).toLowerCase() })];
+
+  if (role === "Bridge") {
+    const { linkedCommunities } = analyzeSession(session).overall.nodes.get(participantId);
+    description.push(format(sentences.Bridge, { count: linkedCommunities }));
+  } else {
+    description.push(sentences[role]);
+  }
+
+  if (totalConnections > 10) {
+    description.push(sentences.highVolume);
+  } else if (totalConnections > 5) {
+    description.push(sentences.moderateVolume);
+  } else {
+    description.push(sentences.selectiveVolume);
+  }
+
+  return description.join(' ');
+}
+
+// Public node label: anonymous hash label, or pure Node-NN index after identity removal
+// Public label of a node. Neither form can be worked out from the participant id: pseudonyms
+// come from the public id, and Node-NN numbers follow public id order rather than join order.
+function getNodeLabel(session, participantId) {
+  const publicId = publicNodeId(session, participantId);
+  if (session.identityDeleted) {
+    const publicIds = Array.from(session.graph.nodes.keys(), id => publicNodeId(session, id)).sort();
+    return `Node-${String(publicIds.indexOf(publicId) + 1).padStart(2, '0')}`;
+  }
+  return generateAnonymousLabel(publicId);
+}
+
+module.exports = {
+  addGraphNode,
+  addTie,
+  removeTie,
+  removeGraphNode,
+  sessionAtEpoch,
+  calculateEmbeddingVector,
+  generateNodeColor,
+  roundEmbedding,
+  normalizeEmbedding,
+  embeddingToPercentages,
+  buildNodePayload,
+  buildPersonalSummary,
+  buildNodeProfile,
+  buildEdgePayload,
+  publicNodeId,
+  publicEdgeId,
+  answerOptionId,
+  analyzeSession,
+  calculateCentrality,
+  calculateChannelMetrics,
+  summarizeAnalysis,
+  getNodeRole,
+  classifyRole,
+  generateAnonymousLabel,
+  generateNodeDescription,
+  getNodeLabel
+};
@@ -0,0 +1,75 @@
+// Locale bundles (server/locales): the built-in questions, default channel names, role
+// descriptions and participant/display page text per language. A session's locale is chosen
+// when it is created; a participant may read in another one on their own phone.
+
+const locales = {
+  en: require('./locales/en'),
+  he: require('./locales/he'),
+  ar: require('./locales/ar')
+};
+
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = Object.keys(locales);
+
+// Returns a human-readable problem, or null when the locale is supported
+function validateLocale(locale) {
+  if (!SUPPORTED_LOCALES.includes(locale)) {
+    return `locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`;
+  }
+  return null;
+}
+
+// Bundle of a locale; unknown locales (e.g. from old snapshots) read as the default
+function getBundle(locale) {
+  return locales[locale] || locales[DEFAULT_LOCALE];
+}
+
+// Fill {placeholders} in a template
+function format(template, params = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// Locales offered to admins and participants
+function listLocales() {
+  return SUPPORTED_LOCALES.map(id => ({ id, name: locales[id].name, dir: locales[id].dir }));
+}
+
+// The built-in questions in one language, each with the key that names it in every bundle
+function bankQuestions(locale) {
+  return Object.entries(getBundle(locale).questions).flatMap(([channel, texts]) =>
+    texts.map((text, index) => ({ key: `${channel}-${index + 1}`, text, channel }))
+  );
+}
+
+const bankKeys = new Set(bankQuestions(DEFAULT_LOCALE).map(question => question.key));
+
+function isBankKey(key) {
+  return bankKeys.has(key);
+}
+
+// Default channel schema with the locale's channel names
+function localizeChannels(channels, locale) {
+  const names = getBundle(locale).channels;
+  return channels.map(channel => ({ ...channel, name: names[channel.id] || channel.name }));
+}
+
+// Name of a session channel in another locale. Only names the session took from its own
+// bundle are translated; channels named by the admin keep their names.
+function channelName(session, channelId, locale) {
+  const name = session.channels[channelId].name;
+  const translatable = getBundle(session.locale).channels[channelId] === name;
+  return translatable ? getBundle(locale).channels[channelId] : name;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  validateLocale,
+  getBundle,
+  format,
+  listLocales,
+  bankQuestions,
+  isBankKey,
+  localizeChannels,
+  channelName
+};
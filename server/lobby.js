@@ -0,0 +1,58 @@
+// Lobby rules: how many people may join a session, whether joining is open and under what name.
+// Names are compared trimmed, with inner whitespace collapsed and case ignored, so "ada " and
+// "Ada" cannot both join.
+
+const DEFAULT_CAPACITY = 20;
+const MAX_CAPACITY = 100;
+const MAX_NAME_LENGTH = 20; // the join form's maxlength
+
+// Returns a human-readable problem, or null when the capacity is valid
+function validateCapacity(capacity) {
+  if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_CAPACITY) {
+    return `capacity must be an integer between 1 and ${MAX_CAPACITY}`;
+  }
+  return null;
+}
+
+// Display form of a submitted name; '' when it is not a usable name
+function normalizeName(name) {
+  if (typeof name !== 'string') return '';
+  const normalized = name.trim().replace(/\s+/g, ' ');
+  return normalized.length <= MAX_NAME_LENGTH ? normalized : '';
+}
+
+function isNameTaken(session, name) {
+  const key = name.toLocaleLowerCase();
+  return Array.from(session.participants.values()).some(p => p.name && p.name.toLocaleLowerCase() === key);
+}
+
+// Why a new participant cannot join under `name` (already normalized), or null if they can
+function checkJoin(session, name) {
+  // Names can no longer enter the system once the identity layer is gone
+  if (session.identityDeleted) {
+    return { reason: 'identity-deleted', message: 'Identity layer removed. Session is closed to new participants' };
+  }
+  if (session.joinLocked) {
+    return { reason: 'locked', message: 'This session is not accepting new participants' };
+  }
+  if (session.participants.size >= session.capacity) {
+    return { reason: 'full', message: 'Session is full' };
+  }
+  if (!name) {
+    return { reason: 'invalid-name', message: `Enter a name of up to ${MAX_NAME_LENGTH} characters` };
+  }
+  if (isNameTaken(session, name)) {
+    return { reason: 'duplicate-name', message: 'Someone already joined with that name, please pick another' };
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_CAPACITY,
+  MAX_CAPACITY,
+  MAX_NAME_LENGTH,
+  validateCapacity,
+  normalizeName,
+  isNameTaken,
+  checkJoin
+};
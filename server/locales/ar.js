@@ -0,0 +1,248 @@
+// Arabic bundle (right-to-left).
+
+module.exports = {
+  name: 'العربية',
+  dir: 'rtl',
+
+  channels: {
+    cognitive: 'التفكير / التأثير المعرفي',
+    creative: 'الإبداع / التأثير التوليدي',
+    technical: 'التقنية / تأثير التنفيذ',
+    social: 'الاجتماعي / تأثير الاستقرار'
+  },
+  channelLabels: {
+    cognitive: 'معرفي',
+    creative: 'إبداعي',
+    technical: 'تقني',
+    social: 'اجتماعي'
+  },
+
+  questions: {
+    cognitive: [
+      'من يساعدك على رؤية المشكلات من منظور جديد؟',
+      'من يطرح أسئلة تغيّر اتجاه النقاش؟',
+      'ممّن تودّ أن تتعلّم فكريًا؟',
+      'من يميل إلى صياغة الأفكار المعقّدة بوضوح؟',
+      'من يضيف عمقًا إلى نقاشات المجموعة؟'
+    ],
+    creative: [
+      'من يأتي بأكثر الأفكار غير المتوقعة أو الأصيلة؟',
+      'من يُلهم الآخرين إبداعيًا؟',
+      'مع من تودّ العصف الذهني عندما تتعثّر؟',
+      'من يتجاوز حدود المفاهيم المألوفة؟',
+      'من يكشف عن روابط مفاجئة بين الأفكار؟'
+    ],
+    technical: [
+      'إلى من تلجأ لحلّ مشكلة تقنية أو عملية معقّدة؟',
+      'بمن تثق لإنجاز الأمور تحت الضغط؟',
+      'من تريده زميلًا في مهمة بناء أو نموذج أولي صعبة؟',
+      'من الأقدر على تحويل الأفكار إلى نماذج أولية تعمل؟',
+      'من يتعامل جيدًا مع القيود العملية (الوقت، الأدوات، الجدوى)؟'
+    ],
+    social: [
+      'من أفضل مستمع في المجموعة؟',
+      'من يضفي الاستقرار العاطفي أو الهدوء على الفريق؟',
+      'من يرفع معنويات المجموعة وطاقتها؟',
+      'من يساعد على حلّ التوتر أو الخلاف عند ظهوره؟',
+      'من يجعل التعاون أسهل وأكثر أمانًا؟'
+    ]
+  },
+
+  roles: {
+    Bridge: 'جسر',
+    Initiator: 'مبادِر',
+    Amplifier: 'مُضخِّم',
+    Connector: 'رابط',
+    Stabilizer: 'مُثبِّت'
+  },
+  descriptions: {
+    dominant: 'تُظهر هذه العقدة أنماط {channel} بشكل أساسي.',
+    Bridge: 'تعمل كجسر بنيوي يربط بين {count} من التجمعات المنفصلة في الشبكة.',
+    Amplifier: 'تضخّم الإشارات الواردة عبر قنوات متعددة.',
+    Initiator: 'تبادر بالروابط وتولّد أنماط تأثير نحو الخارج.',
+    Connector: 'تحافظ على ترابط عالٍ ثنائي الاتجاه عبر القنوات.',
+    Stabilizer: 'تسهم في استقرار الشبكة عبر أنماط تفاعل ثابتة.',
+    highVolume: 'تُظهر حجم تفاعل مرتفعًا.',
+    moderateVolume: 'تُبدي مستوى تفاعل متوسطًا.',
+    selectiveVolume: 'تحافظ على أنماط تفاعل انتقائية.'
+  },
+
+  ui: {
+    language: 'اللغة',
+    joinSubtitle: 'أدخل اسمك الأول أو لقبك\nللانضمام إلى تجربة الرسم الشبكي',
+    nameLabel: 'اسمك',
+    namePlaceholder: 'أدخل اسمك',
+    join: 'انضم إلى الجلسة',
+    joining: 'جارٍ الانضمام...',
+    connected: 'متصل',
+    waitingForSignals: 'بانتظار الإشارات',
+    preparing: 'الاستعداد لرسم أنماط التفاعل',
+    readyToBegin: 'جاهز لبدء الرسم',
+    privacyNote: 'ستتلقى أسئلة عن زملائك.\nإجاباتك خاصة تمامًا.',
+    questionNumber: 'السؤال {number} من {total}',
+    chooseOne: 'اختر شخصًا واحدًا',
+    chooseUpTo: 'اختر حتى {count} أشخاص',
+    rankUpTo: 'رتّب حتى {count} أشخاص - اضغط على اختيارك الأول أولًا',
+    optionMe: '{name} (أنا)',
+    secondsRemaining: 'متبقٍّ {seconds} ثانية',
+    pausedSecondsRemaining: 'متوقف مؤقتًا - متبقٍّ {seconds} ثانية',
+    paused: 'متوقف مؤقتًا',
+    noTimeLimit: 'بلا حدّ زمني',
+    timeUp: 'انتهى الوقت!',
+    timeUpTitle: 'انتهى الوقت',
+    skip: 'تخطٍّ',
+    submit: 'إرسال',
+    sending: 'جارٍ الإرسال...',
+    responseSent: 'تم إرسال الإجابة',
+    waitingForNext: 'بانتظار الإشارة التالية...',
+    sessionComplete: 'اكتملت الجلسة',
+    completeMessage: 'تم رسم جميع أنماط التفاعل.\n\nاكتمل الآن التمثيل الجماعي الخاص بكم، كاشفًا عن العلاقات البنيوية التي نشأت من ديناميكيات مجموعتكم.',
+    summaryTitle: 'كيف يراك النموذج',
+    noSignal: 'لم يخترك أحد ولم تختر أحدًا، لذلك لا يرى النموذج أي إشارة بعد.',
+    identityRemovedTitle: 'أُزيلت طبقة الهوية',
+    identityRemovedMessage: 'لم يبقَ سوى البنية.\n\nتستمر أنماط التفاعل في الوجود، لكن الهويات ذابت نهائيًا في الذاكرة الجماعية.',
+    sessionEnded: 'انتهت الجلسة',
+    sessionEndedMessage: 'أنهى المشرف الجلسة',
+    removed: 'تمت الإزالة',
+    removedMessage: 'تمت إزالتك من هذه الجلسة',
+    connectionError: 'خطأ في الاتصال. تحقّق من الشبكة وحاول مرة أخرى.',
+    connectionLost: 'انقطع الاتصال. جارٍ إعادة الاتصال...',
+
+    'join-error.invalid-session': 'جلسة غير صالحة',
+    'join-error.identity-deleted': 'أُزيلت طبقة الهوية. الجلسة مغلقة أمام المشاركين الجدد',
+    'join-error.locked': 'لا تقبل هذه الجلسة مشاركين جددًا',
+    'join-error.full': 'الجلسة ممتلئة',
+    'join-error.invalid-name': 'أدخل اسمًا لا يتجاوز {max} حرفًا',
+    'join-error.duplicate-name': 'انضم شخص بهذا الاسم بالفعل، يُرجى اختيار اسم آخر',
+    'join-error.already-joined': 'انضم هذا الجهاز إلى الجلسة بالفعل',
+    'response-rejected.rate-limited': 'إجابات كثيرة جدًا، يُرجى الانتظار قليلًا',
+    'response-rejected.too-many-targets': 'اختر {count} أشخاص على الأكثر',
+    'response-rejected.duplicate-target': 'يمكن اختيار كل شخص مرة واحدة فقط',
+    'response-rejected.unknown-target': 'هذا المشارك ليس في الجلسة',
+    'response-rejected.self-vote': 'لا يمكنك اختيار نفسك في هذه الجلسة',
+
+    epoch: 'الحقبة',
+    replay: 'إعادة العرض',
+    questionShort: 'س{number} / {total}',
+    vectorComposition: 'تركيب المتجه',
+    inVolume: 'الحجم الوارد',
+    outVolume: 'الحجم الصادر',
+    bridge: 'الجسر',
+    total: 'المجموع',
+    pagerank: 'PageRank',
+    reciprocity: 'التبادلية',
+    clustering: 'التجمّع',
+    community: 'المجتمع',
+    node: 'عقدة',
+    joinQrCode: 'رمز QR للانضمام',
+    waitingForParticipants: 'بانتظار المشاركين',
+    allPatternsMapped: 'تم رسم جميع أنماط التفاعل',
+    displaySessionComplete: 'اكتملت الجلسة',
+    displaySessionEnded: 'انتهت الجلسة',
+    sessionNotFound: 'الجلسة غير موجودة أو انتهت',
+
+    consoleLanguage: 'لغة الواجهة',
+    sessionSection: 'الجلسة',
+    sessionLanguage: 'لغة الجلسة',
+    questionSet: 'مجموعة الأسئلة',
+    questionsPerChannel: 'الأسئلة لكل قناة',
+    allQuestions: 'الكل',
+    advanceWhen: 'الانتقال عندما',
+    advanceAll: 'يجيب الجميع',
+    advanceQuorum: 'يجيب النصاب',
+    advanceTimer: 'ينتهي الوقت',
+    secondsPerQuestion: 'ثوانٍ لكل سؤال (0 = بلا حد)',
+    quorumPercent: 'النصاب %',
+    secondsBeforeNext: 'ثوانٍ قبل السؤال التالي',
+    allowSelfVote: 'يمكن للمشاركين اختيار أنفسهم',
+    showPersonalSummary: 'عرض عقدة كل مشارك له في النهاية',
+    capacity: 'السعة',
+    lockOnStart: 'إغلاق الانضمام عند بدء الأسئلة',
+    minGroupSize: 'إخفاء الروابط علنًا تحت N عقدة (0 = أبدًا)',
+    noiseEpsilon: 'إبسيلون الضوضاء العامة (فارغ = دقيق)',
+    noiseOff: 'إيقاف',
+    delayUpdates: 'نشر الرسم البياني فقط عند إغلاق السؤال',
+    joinAddress: 'عنوان الانضمام',
+    automaticAddress: 'تلقائي',
+    automaticAddressOf: 'تلقائي ({address})',
+    editQuestionSets: 'تحرير مجموعات الأسئلة',
+    initialize: 'تهيئة فضاء التضمين',
+    initializing: 'جارٍ التهيئة...',
+    embeddingSpaceActive: 'فضاء التضمين نشط',
+    adminSecretPrompt: 'مطلوب سر المشرف:',
+    simulatedCount: 'مشاركون محاكَون',
+    simulatedStrategy: 'كيف يختار المشاركون المحاكَون',
+    strategyRandom: 'عشوائي',
+    strategyPreferential: 'تفضيلي',
+    strategySpecialist: 'متخصصون',
+    addSimulated: 'إضافة مشاركين محاكَين',
+    addedSimulated: 'أضيف {joined}',
+    addedSimulatedTurnedAway: 'أضيف {joined}، ورُفض {rejected}',
+    simulationFailed: 'فشلت المحاكاة',
+    networkState: 'حالة الشبكة',
+    nodes: 'العقد',
+    question: 'السؤال',
+    progress: 'التقدم',
+    signalStatus: 'حالة الإشارات',
+    responsesReceived: 'وصل {count} / {total}',
+    lobby: 'الردهة',
+    applyCapacity: 'تطبيق السعة',
+    lockJoining: 'قفل الانضمام',
+    unlockJoining: 'فتح الانضمام',
+    removeParticipant: 'إزالة',
+    confirmRemoveParticipant: 'إزالة {name} وعقدته من الجلسة؟',
+    flowControl: 'التحكم في التدفق',
+    startQuestions: 'بدء الأسئلة',
+    startingQuestions: 'جارٍ البدء...',
+    pauseQuestions: 'إيقاف الأسئلة مؤقتًا',
+    resumeQuestions: 'استئناف الأسئلة',
+    removeIdentityLayer: 'إزالة طبقة الهوية',
+    removingIdentityLayer: 'جارٍ الإزالة...',
+    identityLayerRemoved: 'أزيلت طبقة الهوية',
+    confirmRemoveIdentities: 'حذف جميع الروابط بين الأسماء والعقد نهائيًا؟ لا يمكن التراجع عن ذلك.',
+    endSession: 'إنهاء الجلسة',
+    endingSession: 'جارٍ الإنهاء...',
+    confirmEndSession: 'هل تريد إنهاء الجلسة؟ سيُفصل جميع المشاركين.',
+    flowHint: 'ابدأ الأسئلة عندما يكون المشاركون جاهزين. تتقدم الأسئلة بعدها تلقائيًا مع إمكانية الإيقاف المؤقت والاستئناف.',
+    projector: 'جهاز العرض',
+    openProjector: 'فتح شاشة العرض',
+    showQrOnProjector: 'إظهار QR على جهاز العرض',
+    hideQrOnProjector: 'إخفاء QR على جهاز العرض',
+    replayOnProjector: 'إعادة العرض على جهاز العرض',
+    stopProjectorReplay: 'إيقاف إعادة العرض على جهاز العرض',
+    clearProjectorFocus: 'إلغاء التركيز على جهاز العرض',
+    projectorHint: 'انقر على قناة في وسيلة الإيضاح لإخفائها هنا وعلى جهاز العرض.',
+    export: 'تصدير',
+    nodesCsv: 'العقد CSV',
+    edgesCsv: 'الروابط CSV',
+    embeddingChannels: 'قنوات التضمين',
+    layout: 'التخطيط',
+    layoutForce: 'موجّه بالقوى (قوة الرابط)',
+    layoutEmbedding: 'إسقاط التضمين (PCA)',
+    includeStructure: 'تضمين المقاييس البنيوية',
+    legendFooter: 'تمثل كل عقدة تضمينًا مدمجًا للتفاعل.',
+    showOnProjector: 'إظهار على جهاز العرض',
+    close: 'إغلاق',
+    replayFormation: 'إعادة عرض تكوّن الشبكة',
+    live: 'مباشر',
+    epochLobby: 'الحقبة {epoch} · الردهة',
+    epochQuestion: 'الحقبة {epoch} · س{number} {channel}',
+    questionSets: 'مجموعات الأسئلة',
+    newQuestionSet: '+ مجموعة أسئلة جديدة',
+    setName: 'اسم المجموعة',
+    readOnlySet: '{name} (للقراءة فقط)',
+    copiedSet: '{name} (نسخة)',
+    questionPlaceholder: 'من ...؟',
+    modeSingle: 'شخص واحد',
+    modeUpTo: 'حتى {count}',
+    modeRankTop: 'ترتيب أفضل {count}',
+    addQuestion: 'إضافة سؤال',
+    saveSet: 'حفظ المجموعة',
+    deleteSet: 'حذف المجموعة',
+    confirmDeleteSet: 'حذف مجموعة الأسئلة هذه؟',
+    preparingSpace: 'جارٍ تحضير فضاء التضمين',
+    waitingForInteractionSignals: 'بانتظار إشارات التفاعل',
+    modelInitializing: 'جارٍ تهيئة عرض النموذج',
+    controlsHint: 'تدوير: سحب • تكبير: تمرير • تحريك: سحب بالزر الأيمن • تحديد: نقر'
+  }
+};
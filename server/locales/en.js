@@ -0,0 +1,255 @@
+// English bundle. Every other bundle has the same keys; {placeholders} are filled in by i18n.format.
+
+module.exports = {
+  name: 'English',
+  dir: 'ltr',
+
+  // Names of the default four channels, and the short labels of the embedding bars
+  channels: {
+    cognitive: 'Thinking / Cognitive influence',
+    creative: 'Creative / Generative influence',
+    technical: 'Technical / Execution influence',
+    social: 'Social / Stabilization influence'
+  },
+  channelLabels: {
+    cognitive: 'Cognitive',
+    creative: 'Creative',
+    technical: 'Technical',
+    social: 'Social'
+  },
+
+  // The built-in question set, five per channel; question keys are `${channel}-${n}`
+  questions: {
+    cognitive: [
+      'Who helps you see problems from a new perspective?',
+      'Who asks questions that shift the direction of a discussion?',
+      'Who would you want to learn from intellectually?',
+      'Who tends to frame complex ideas clearly?',
+      'Who brings depth to group conversations?'
+    ],
+    creative: [
+      'Who brings the most unexpected or original ideas?',
+      'Who inspires others creatively?',
+      'Who would you brainstorm with when you feel stuck?',
+      'Who pushes conceptual boundaries?',
+      'Who introduces surprising connections between ideas?'
+    ],
+    technical: [
+      'Who would you go to for solving a complex technical or practical problem?',
+      'Who would you trust to make things work under pressure?',
+      'Who would you want as a teammate on a challenging build/prototype task?',
+      'Who is strongest at translating ideas into working prototypes?',
+      'Who handles practical constraints well (time, tools, feasibility)?'
+    ],
+    social: [
+      'Who is the best listener in the group?',
+      'Who brings emotional stability or calm to the team?',
+      'Who raises group morale and energy?',
+      'Who helps resolve tension or conflict when it appears?',
+      'Who makes collaboration feel easier and safer?'
+    ]
+  },
+
+  // Structural roles (graph.getNodeRole) and the sentences of a node's description
+  roles: {
+    Bridge: 'Bridge',
+    Initiator: 'Initiator',
+    Amplifier: 'Amplifier',
+    Connector: 'Connector',
+    Stabilizer: 'Stabilizer'
+  },
+  descriptions: {
+    dominant: 'This node exhibits primary {channel} patterns.',
+    Bridge: 'Functions as a structural bridge, linking {count} distinct network clusters.',
+    Amplifier: 'Amplifies incoming signals across multiple channels.',
+    Initiator: 'Initiates connections and generates outward influence patterns.',
+    Connector: 'Maintains high bidirectional connectivity across channels.',
+    Stabilizer: 'Provides network stabilization through consistent interaction patterns.',
+    highVolume: 'Demonstrates high interaction volume.',
+    moderateVolume: 'Shows moderate interaction engagement.',
+    selectiveVolume: 'Maintains selective interaction patterns.'
+  },
+
+  // Participant and display page text
+  ui: {
+    language: 'Language',
+    joinSubtitle: 'Enter your first name or nickname\nto join the mapping experiment',
+    nameLabel: 'Your Name',
+    namePlaceholder: 'Enter your name',
+    join: 'Join Session',
+    joining: 'Joining...',
+    connected: 'Connected',
+    waitingForSignals: 'Waiting for signals',
+    preparing: 'Preparing to map interaction patterns',
+    readyToBegin: 'Ready to begin mapping',
+    privacyNote: "You'll receive questions about your classmates.\nYour responses are completely private.",
+    questionNumber: 'Question {number} of {total}',
+    chooseOne: 'Choose one person',
+    chooseUpTo: 'Choose up to {count} people',
+    rankUpTo: 'Rank up to {count} people - tap your first choice first',
+    optionMe: '{name} (Me)',
+    secondsRemaining: '{seconds} seconds remaining',
+    pausedSecondsRemaining: 'Paused - {seconds} seconds remaining',
+    paused: 'Paused',
+    noTimeLimit: 'No time limit',
+    timeUp: 'Time up!',
+    timeUpTitle: 'Time Up',
+    skip: 'Skip',
+    submit: 'Submit',
+    sending: 'Sending...',
+    responseSent: 'Response Sent',
+    waitingForNext: 'Waiting for next signal...',
+    sessionComplete: 'Session Complete',
+    completeMessage: 'All interaction patterns have been mapped.\n\nYour collective embedding is now fully formed, revealing the structural relationships that emerged from your group dynamics.',
+    summaryTitle: 'How the Model Sees You',
+    noSignal: 'No one chose you and you chose no one, so the model sees no signal yet.',
+    identityRemovedTitle: 'Identity Layer Removed',
+    identityRemovedMessage: 'Only the structure remains.\n\nThe patterns of interaction continue to exist, but identities have been permanently dissolved into the collective memory.',
+    sessionEnded: 'Session Ended',
+    sessionEndedMessage: 'Session ended by administrator',
+    removed: 'Removed',
+    removedMessage: 'You were removed from this session',
+    connectionError: 'Connection error. Please check your network and try again.',
+    connectionLost: 'Connection lost. Reconnecting...',
+
+    // join-error and response-rejected reasons
+    'join-error.invalid-session': 'Invalid session',
+    'join-error.identity-deleted': 'Identity layer removed. Session is closed to new participants',
+    'join-error.locked': 'This session is not accepting new participants',
+    'join-error.full': 'Session is full',
+    'join-error.invalid-name': 'Enter a name of up to {max} characters',
+    'join-error.duplicate-name': 'Someone already joined with that name, please pick another',
+    'join-error.already-joined': 'This device has already joined the session',
+    'response-rejected.rate-limited': 'Too many answers, please wait a moment',
+    'response-rejected.too-many-targets': 'Choose at most {count} people',
+    'response-rejected.duplicate-target': 'Each person can only be chosen once',
+    'response-rejected.unknown-target': 'That participant is not in this session',
+    'response-rejected.self-vote': 'You cannot choose yourself in this session',
+
+    // Projector display
+    epoch: 'Epoch',
+    replay: 'Replay',
+    questionShort: 'Q{number} / {total}',
+    vectorComposition: 'Vector Composition',
+    inVolume: 'In-Volume',
+    outVolume: 'Out-Volume',
+    bridge: 'Bridge',
+    total: 'Total',
+    pagerank: 'PageRank',
+    reciprocity: 'Reciprocity',
+    clustering: 'Clustering',
+    community: 'Community',
+    node: 'Node',
+    joinQrCode: 'Join QR code',
+    waitingForParticipants: 'Waiting for participants',
+    allPatternsMapped: 'All interaction patterns have been mapped',
+    displaySessionComplete: 'Session complete',
+    displaySessionEnded: 'Session ended',
+    sessionNotFound: 'Session not found or ended',
+
+    // Admin console
+    consoleLanguage: 'Console Language',
+    sessionSection: 'Session',
+    sessionLanguage: 'Session Language',
+    questionSet: 'Question Set',
+    questionsPerChannel: 'Questions per Channel',
+    allQuestions: 'All',
+    advanceWhen: 'Advance When',
+    advanceAll: 'Everyone has answered',
+    advanceQuorum: 'A quorum has answered',
+    advanceTimer: 'The timer runs out',
+    secondsPerQuestion: 'Seconds per Question (0 = no limit)',
+    quorumPercent: 'Quorum %',
+    secondsBeforeNext: 'Seconds Before Next Question',
+    allowSelfVote: 'Participants may choose themselves',
+    showPersonalSummary: 'Show participants their own node at the end',
+    capacity: 'Capacity',
+    lockOnStart: 'Close joining when questions start',
+    minGroupSize: 'Hide Edges Publicly Below N Nodes (0 = never)',
+    noiseEpsilon: 'Public Noise Epsilon (empty = exact)',
+    noiseOff: 'Off',
+    delayUpdates: 'Publish the graph only when a question closes',
+    joinAddress: 'Join Address',
+    automaticAddress: 'Automatic',
+    automaticAddressOf: 'Automatic ({address})',
+    editQuestionSets: 'Edit Question Sets',
+    initialize: 'Initialize Embedding Space',
+    initializing: 'Initializing...',
+    embeddingSpaceActive: 'Embedding Space Active',
+    adminSecretPrompt: 'Admin secret required:',
+    simulatedCount: 'Simulated participants',
+    simulatedStrategy: 'How simulated participants choose',
+    strategyRandom: 'Random',
+    strategyPreferential: 'Preferential',
+    strategySpecialist: 'Specialists',
+    addSimulated: 'Add Simulated Participants',
+    addedSimulated: 'Added {joined}',
+    addedSimulatedTurnedAway: 'Added {joined}, {rejected} turned away',
+    simulationFailed: 'Simulation failed',
+    networkState: 'Network State',
+    nodes: 'Nodes',
+    question: 'Question',
+    progress: 'Progress',
+    signalStatus: 'Signal Status',
+    responsesReceived: '{count} / {total} received',
+    lobby: 'Lobby',
+    applyCapacity: 'Apply Capacity',
+    lockJoining: 'Lock Joining',
+    unlockJoining: 'Unlock Joining',
+    removeParticipant: 'Remove',
+    confirmRemoveParticipant: 'Remove {name} and their node from the session?',
+    flowControl: 'Flow Control',
+    startQuestions: 'Start Questions',
+    startingQuestions: 'Starting...',
+    pauseQuestions: 'Pause Questions',
+    resumeQuestions: 'Resume Questions',
+    removeIdentityLayer: 'Remove Identity Layer',
+    removingIdentityLayer: 'Removing...',
+    identityLayerRemoved: 'Identity Layer Removed',
+    confirmRemoveIdentities: 'Permanently remove all name-to-node mappings? This cannot be undone.',
+    endSession: 'End Session',
+    endingSession: 'Ending...',
+    confirmEndSession: 'Are you sure you want to end the session? This will disconnect all participants.',
+    flowHint: 'Start questions when participants are ready. Questions then advance automatically with pause/resume control.',
+    projector: 'Projector',
+    openProjector: 'Open Projector Display',
+    showQrOnProjector: 'Show QR on Projector',
+    hideQrOnProjector: 'Hide QR on Projector',
+    replayOnProjector: 'Replay on Projector',
+    stopProjectorReplay: 'Stop Projector Replay',
+    clearProjectorFocus: 'Clear Projector Focus',
+    projectorHint: 'Click a channel in the legend to hide it here and on the projector.',
+    export: 'Export',
+    nodesCsv: 'Nodes CSV',
+    edgesCsv: 'Edges CSV',
+    embeddingChannels: 'Embedding Channels',
+    layout: 'Layout',
+    layoutForce: 'Force-directed (tie strength)',
+    layoutEmbedding: 'Embedding projection (PCA)',
+    includeStructure: 'Include structural metrics',
+    legendFooter: 'Each node represents a blended interaction embedding.',
+    showOnProjector: 'Show on Projector',
+    close: 'Close',
+    replayFormation: 'Replay network formation',
+    live: 'Live',
+    epochLobby: 'Epoch {epoch} · lobby',
+    epochQuestion: 'Epoch {epoch} · Q{number} {channel}',
+    questionSets: 'Question Sets',
+    newQuestionSet: '+ New question set',
+    setName: 'Set name',
+    readOnlySet: '{name} (read-only)',
+    copiedSet: '{name} (copy)',
+    questionPlaceholder: 'Who ...?',
+    modeSingle: 'One person',
+    modeUpTo: 'Up to {count}',
+    modeRankTop: 'Rank top {count}',
+    addQuestion: 'Add Question',
+    saveSet: 'Save Set',
+    deleteSet: 'Delete Set',
+    confirmDeleteSet: 'Delete this question set?',
+    preparingSpace: 'Preparing embedding space',
+    waitingForInteractionSignals: 'Waiting for interaction signals',
+    modelInitializing: 'Model view initializing',
+    controlsHint: 'Rotate: Drag • Zoom: Scroll • Pan: Right-drag • Select: Click'
+  }
+};
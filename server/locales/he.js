@@ -0,0 +1,248 @@
+// Hebrew bundle (right-to-left). Participants are addressed in the plural, the usual gender-neutral form.
+
+module.exports = {
+  name: 'עברית',
+  dir: 'rtl',
+
+  channels: {
+    cognitive: 'חשיבה / השפעה קוגניטיבית',
+    creative: 'יצירתיות / השפעה יוצרת',
+    technical: 'טכני / השפעת ביצוע',
+    social: 'חברתי / השפעה מייצבת'
+  },
+  channelLabels: {
+    cognitive: 'חשיבה',
+    creative: 'יצירה',
+    technical: 'ביצוע',
+    social: 'חברתי'
+  },
+
+  questions: {
+    cognitive: [
+      'מי עוזר/ת לך לראות בעיות מנקודת מבט חדשה?',
+      'מי שואל/ת שאלות שמשנות את כיוון הדיון?',
+      'ממי היית רוצה ללמוד מבחינה אינטלקטואלית?',
+      'מי נוטה לנסח רעיונות מורכבים בבהירות?',
+      'מי מוסיף/ה עומק לשיחות בקבוצה?'
+    ],
+    creative: [
+      'מי מביא/ה את הרעיונות המפתיעים או המקוריים ביותר?',
+      'מי מעורר/ת השראה יצירתית באחרים?',
+      'עם מי היית עושה סיעור מוחות כשנתקעת?',
+      'מי פורץ/ת גבולות מחשבתיים?',
+      'מי יוצר/ת חיבורים מפתיעים בין רעיונות?'
+    ],
+    technical: [
+      'למי היית פונה כדי לפתור בעיה טכנית או מעשית מורכבת?',
+      'על מי אפשר לסמוך שדברים יעבדו תחת לחץ?',
+      'את מי היית רוצה כשותף/ה למשימת בנייה או אב־טיפוס מאתגרת?',
+      'מי הכי טוב/ה בהפיכת רעיונות לאבות־טיפוס עובדים?',
+      'מי מתמודד/ת היטב עם אילוצים מעשיים (זמן, כלים, היתכנות)?'
+    ],
+    social: [
+      'מי המקשיב/ה הטוב/ה ביותר בקבוצה?',
+      'מי מביא/ה יציבות רגשית או רוגע לצוות?',
+      'מי מעלה את המורל והאנרגיה של הקבוצה?',
+      'מי עוזר/ת ליישב מתחים או קונפליקטים כשהם עולים?',
+      'מי הופך/ת את שיתוף הפעולה לקל ובטוח יותר?'
+    ]
+  },
+
+  roles: {
+    Bridge: 'גשר',
+    Initiator: 'יוזם/ת',
+    Amplifier: 'מגביר/ה',
+    Connector: 'מחבר/ת',
+    Stabilizer: 'מייצב/ת'
+  },
+  descriptions: {
+    dominant: 'הצומת מציג בעיקר דפוסי {channel}.',
+    Bridge: 'משמש כגשר מבני המחבר בין {count} אשכולות נפרדים ברשת.',
+    Amplifier: 'מגביר אותות נכנסים על פני ערוצים רבים.',
+    Initiator: 'יוזם קשרים ומייצר דפוסי השפעה כלפי חוץ.',
+    Connector: 'שומר על קישוריות דו־כיוונית גבוהה בין הערוצים.',
+    Stabilizer: 'מייצב את הרשת באמצעות דפוסי אינטראקציה עקביים.',
+    highVolume: 'מפגין נפח אינטראקציה גבוה.',
+    moderateVolume: 'מראה מעורבות בינונית באינטראקציות.',
+    selectiveVolume: 'שומר על דפוסי אינטראקציה סלקטיביים.'
+  },
+
+  ui: {
+    language: 'שפה',
+    joinSubtitle: 'הזינו שם פרטי או כינוי\nכדי להצטרף לניסוי המיפוי',
+    nameLabel: 'השם שלכם',
+    namePlaceholder: 'הזינו את שמכם',
+    join: 'הצטרפות למפגש',
+    joining: 'מצטרפים...',
+    connected: 'מחוברים',
+    waitingForSignals: 'ממתינים לאותות',
+    preparing: 'מתכוננים למפות דפוסי אינטראקציה',
+    readyToBegin: 'מוכנים להתחיל במיפוי',
+    privacyNote: 'תקבלו שאלות על חברי הקבוצה.\nהתשובות שלכם פרטיות לחלוטין.',
+    questionNumber: 'שאלה {number} מתוך {total}',
+    chooseOne: 'בחרו אדם אחד',
+    chooseUpTo: 'בחרו עד {count} אנשים',
+    rankUpTo: 'דרגו עד {count} אנשים - הקישו קודם על הבחירה הראשונה',
+    optionMe: '{name} (אני)',
+    secondsRemaining: 'נותרו {seconds} שניות',
+    pausedSecondsRemaining: 'מושהה - נותרו {seconds} שניות',
+    paused: 'מושהה',
+    noTimeLimit: 'ללא הגבלת זמן',
+    timeUp: 'הזמן נגמר!',
+    timeUpTitle: 'הזמן נגמר',
+    skip: 'דילוג',
+    submit: 'שליחה',
+    sending: 'שולחים...',
+    responseSent: 'התשובה נשלחה',
+    waitingForNext: 'ממתינים לאות הבא...',
+    sessionComplete: 'המפגש הסתיים',
+    completeMessage: 'כל דפוסי האינטראקציה מופו.\n\nההטמעה הקולקטיבית שלכם נוצרה במלואה, וחושפת את הקשרים המבניים שעלו מהדינמיקה הקבוצתית.',
+    summaryTitle: 'איך המודל רואה אתכם',
+    noSignal: 'אף אחד לא בחר בכם ולא בחרתם באף אחד, ולכן המודל עדיין לא קולט אות.',
+    identityRemovedTitle: 'שכבת הזהות הוסרה',
+    identityRemovedMessage: 'נשאר רק המבנה.\n\nדפוסי האינטראקציה ממשיכים להתקיים, אבל הזהויות נמסו לצמיתות אל הזיכרון הקולקטיבי.',
+    sessionEnded: 'המפגש הסתיים',
+    sessionEndedMessage: 'המפגש הופסק על ידי המנחה',
+    removed: 'הוסרתם',
+    removedMessage: 'הוסרתם מהמפגש',
+    connectionError: 'שגיאת חיבור. בדקו את הרשת ונסו שוב.',
+    connectionLost: 'החיבור אבד. מתחברים מחדש...',
+
+    'join-error.invalid-session': 'מפגש לא תקין',
+    'join-error.identity-deleted': 'שכבת הזהות הוסרה. המפגש סגור למשתתפים חדשים',
+    'join-error.locked': 'המפגש אינו מקבל משתתפים חדשים',
+    'join-error.full': 'המפגש מלא',
+    'join-error.invalid-name': 'הזינו שם של עד {max} תווים',
+    'join-error.duplicate-name': 'מישהו כבר הצטרף בשם הזה, בחרו שם אחר',
+    'join-error.already-joined': 'המכשיר הזה כבר הצטרף למפגש',
+    'response-rejected.rate-limited': 'יותר מדי תשובות, המתינו רגע',
+    'response-rejected.too-many-targets': 'בחרו לכל היותר {count} אנשים',
+    'response-rejected.duplicate-target': 'אפשר לבחור כל אדם פעם אחת בלבד',
+    'response-rejected.unknown-target': 'המשתתף/ת אינו/ה במפגש',
+    'response-rejected.self-vote': 'במפגש הזה אי אפשר לבחור בעצמכם',
+
+    epoch: 'תקופה',
+    replay: 'שחזור',
+    questionShort: 'ש{number} / {total}',
+    vectorComposition: 'הרכב הווקטור',
+    inVolume: 'נפח נכנס',
+    outVolume: 'נפח יוצא',
+    bridge: 'גישור',
+    total: 'סה״כ',
+    pagerank: 'PageRank',
+    reciprocity: 'הדדיות',
+    clustering: 'צבירות',
+    community: 'קהילה',
+    node: 'צומת',
+    joinQrCode: 'קוד QR להצטרפות',
+    waitingForParticipants: 'ממתינים למשתתפים',
+    allPatternsMapped: 'כל דפוסי האינטראקציה מופו',
+    displaySessionComplete: 'המפגש הושלם',
+    displaySessionEnded: 'המפגש הסתיים',
+    sessionNotFound: 'המפגש לא נמצא או שהסתיים',
+
+    consoleLanguage: 'שפת הממשק',
+    sessionSection: 'מפגש',
+    sessionLanguage: 'שפת המפגש',
+    questionSet: 'סט שאלות',
+    questionsPerChannel: 'שאלות לכל ערוץ',
+    allQuestions: 'הכול',
+    advanceWhen: 'מעבר לשאלה הבאה כאשר',
+    advanceAll: 'כולם ענו',
+    advanceQuorum: 'מניין חוקי ענה',
+    advanceTimer: 'הזמן נגמר',
+    secondsPerQuestion: 'שניות לשאלה (0 = ללא הגבלה)',
+    quorumPercent: 'מניין חוקי %',
+    secondsBeforeNext: 'שניות לפני השאלה הבאה',
+    allowSelfVote: 'משתתפים יכולים לבחור בעצמם',
+    showPersonalSummary: 'להציג למשתתפים את הצומת שלהם בסוף',
+    capacity: 'קיבולת',
+    lockOnStart: 'לסגור את ההצטרפות כשהשאלות מתחילות',
+    minGroupSize: 'להסתיר קשתות בתצוגה הציבורית מתחת ל־N צמתים (0 = אף פעם)',
+    noiseEpsilon: 'אפסילון רעש ציבורי (ריק = מדויק)',
+    noiseOff: 'כבוי',
+    delayUpdates: 'לפרסם את הגרף רק כשהשאלה נסגרת',
+    joinAddress: 'כתובת הצטרפות',
+    automaticAddress: 'אוטומטית',
+    automaticAddressOf: 'אוטומטית ({address})',
+    editQuestionSets: 'עריכת סטים של שאלות',
+    initialize: 'אתחול מרחב ההטמעה',
+    initializing: 'מאתחלים...',
+    embeddingSpaceActive: 'מרחב ההטמעה פעיל',
+    adminSecretPrompt: 'נדרש סוד מנהל:',
+    simulatedCount: 'משתתפים מדומים',
+    simulatedStrategy: 'איך משתתפים מדומים בוחרים',
+    strategyRandom: 'אקראי',
+    strategyPreferential: 'העדפתי',
+    strategySpecialist: 'מומחים',
+    addSimulated: 'הוספת משתתפים מדומים',
+    addedSimulated: 'נוספו {joined}',
+    addedSimulatedTurnedAway: 'נוספו {joined}, {rejected} נדחו',
+    simulationFailed: 'הסימולציה נכשלה',
+    networkState: 'מצב הרשת',
+    nodes: 'צמתים',
+    question: 'שאלה',
+    progress: 'התקדמות',
+    signalStatus: 'מצב האותות',
+    responsesReceived: '{count} / {total} התקבלו',
+    lobby: 'לובי',
+    applyCapacity: 'החלת קיבולת',
+    lockJoining: 'נעילת ההצטרפות',
+    unlockJoining: 'פתיחת ההצטרפות',
+    removeParticipant: 'הסרה',
+    confirmRemoveParticipant: 'להסיר את {name} ואת הצומת שלו/ה מהמפגש?',
+    flowControl: 'בקרת זרימה',
+    startQuestions: 'התחלת השאלות',
+    startingQuestions: 'מתחילים...',
+    pauseQuestions: 'השהיית השאלות',
+    resumeQuestions: 'חידוש השאלות',
+    removeIdentityLayer: 'הסרת שכבת הזהות',
+    removingIdentityLayer: 'מסירים...',
+    identityLayerRemoved: 'שכבת הזהות הוסרה',
+    confirmRemoveIdentities: 'למחוק לצמיתות את כל הקישורים בין שמות לצמתים? אי אפשר לבטל פעולה זו.',
+    endSession: 'סיום המפגש',
+    endingSession: 'מסיימים...',
+    confirmEndSession: 'לסיים את המפגש? כל המשתתפים ינותקו.',
+    flowHint: 'התחילו את השאלות כשהמשתתפים מוכנים. השאלות יתקדמו אוטומטית, ואפשר להשהות ולחדש.',
+    projector: 'מקרן',
+    openProjector: 'פתיחת תצוגת המקרן',
+    showQrOnProjector: 'הצגת QR במקרן',
+    hideQrOnProjector: 'הסתרת QR במקרן',
+    replayOnProjector: 'שחזור במקרן',
+    stopProjectorReplay: 'עצירת השחזור במקרן',
+    clearProjectorFocus: 'ניקוי המיקוד במקרן',
+    projectorHint: 'לחיצה על ערוץ במקרא מסתירה אותו כאן ובמקרן.',
+    export: 'ייצוא',
+    nodesCsv: 'צמתים CSV',
+    edgesCsv: 'קשתות CSV',
+    embeddingChannels: 'ערוצי ההטמעה',
+    layout: 'פריסה',
+    layoutForce: 'מונחית כוחות (עוצמת קשר)',
+    layoutEmbedding: 'הטלת ההטמעה (PCA)',
+    includeStructure: 'כולל מדדים מבניים',
+    legendFooter: 'כל צומת מייצג הטמעת אינטראקציה משולבת.',
+    showOnProjector: 'הצגה במקרן',
+    close: 'סגירה',
+    replayFormation: 'שחזור היווצרות הרשת',
+    live: 'חי',
+    epochLobby: 'תקופה {epoch} · לובי',
+    epochQuestion: 'תקופה {epoch} · ש{number} {channel}',
+    questionSets: 'סטים של שאלות',
+    newQuestionSet: '+ סט שאלות חדש',
+    setName: 'שם הסט',
+    readOnlySet: '{name} (לקריאה בלבד)',
+    copiedSet: '{name} (עותק)',
+    questionPlaceholder: 'מי ...?',
+    modeSingle: 'אדם אחד',
+    modeUpTo: 'עד {count}',
+    modeRankTop: 'דירוג {count} הראשונים',
+    addQuestion: 'הוספת שאלה',
+    saveSet: 'שמירת הסט',
+    deleteSet: 'מחיקת הסט',
+    confirmDeleteSet: 'למחוק את סט השאלות?',
+    preparingSpace: 'מכינים את מרחב ההטמעה',
+    waitingForInteractionSignals: 'ממתינים לאותות אינטראקציה',
+    modelInitializing: 'תצוגת המודל מאותחלת',
+    controlsHint: 'סיבוב: גרירה • זום: גלילה • הזזה: גרירה ימנית • בחירה: לחיצה'
+  }
+};
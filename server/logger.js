@@ -0,0 +1,113 @@
+// Structured logging: one JSON object per line with a level, an event name and fields.
+//
+//   LOG_LEVEL   error | warn | info (default) | debug
+//   LOG_DEBUG   opt-in debug channels, comma-separated (e.g. "socket,graph,http") or "*".
+//               A debug event's channel is the part of its name before the first dot.
+//   LOG_FORMAT  json (default) | pretty
+//
+// Every record passes through redact() first, so participant names and tokens never reach
+// the logs even if a caller passes them by mistake.
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const REDACTED = '[redacted]';
+
+// Keys whose values are never written: names and credentials
+const SENSITIVE_KEYS = new Set([
+  'name',
+  'names',
+  'participantName',
+  'identityMap',
+  'adminToken',
+  'resumeToken',
+  'token',
+  'authorization',
+  'secret'
+]);
+
+// Copy of `value` with sensitive keys masked; Maps, Sets and Errors become plain data
+function redact(value, depth = 0) {
+  if (depth > 6 || value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Error) {
+    return { message: value.message, stack: value.stack };
+  }
+  if (value instanceof Map) {
+    return redact(Object.fromEntries(value), depth);
+  }
+  if (value instanceof Set || Array.isArray(value)) {
+    return Array.from(value, item => redact(item, depth + 1));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SENSITIVE_KEYS.has(key) ? REDACTED : redact(item, depth + 1);
+  }
+  return copy;
+}
+
+function parseChannels(list) {
+  return new Set((list || '').split(',').map(channel => channel.trim()).filter(Boolean));
+}
+
+function formatPretty(record) {
+  const { time, level, event, ...fields } = record;
+  const details = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)} ${event}${details}`;
+}
+
+function createLogger({
+  level = 'info',
+  debug = '',
+  format = 'json',
+  write = (line, severity) => (severity <= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`),
+  bindings = {}
+} = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+  const channels = parseChannels(debug);
+
+  // Debug events need both LOG_LEVEL=debug (or a debug channel) and their channel switched on
+  function enabled(severity, event) {
+    if (severity < LEVELS.debug) return severity <= threshold;
+    const channel = event.split('.')[0];
+    return channels.has('*') || channels.has(channel) || (threshold >= LEVELS.debug && channels.size === 0);
+  }
+
+  function log(levelName, event, fields = {}) {
+    const severity = LEVELS[levelName];
+    if (!enabled(severity, event)) return;
+
+    const record = {
+      time: new Date().toISOString(),
+      level: levelName,
+      event,
+      ...redact({ ...bindings, ...fields })
+    };
+    write(format === 'pretty' ? formatPretty(record) : JSON.stringify(record), severity);
+  }
+
+  return {
+    error: (event, fields) => log('error', event, fields),
+    warn: (event, fields) => log('warn', event, fields),
+    info: (event, fields) => log('info', event, fields),
+    debug: (event, fields) => log('debug', event, fields),
+
+    // Logger that adds `extra` (e.g. a session's correlation id) to every record
+    child(extra) {
+      return createLogger({ level, debug, format, write, bindings: { ...bindings, ...extra } });
+    }
+  };
+}
+
+// Process-wide logger configured from the environment
+const logger = createLogger({
+  level: process.env.LOG_LEVEL,
+  debug: process.env.LOG_DEBUG,
+  format: process.env.LOG_FORMAT
+});
+
+module.exports = {
+  logger,
+  createLogger,
+  redact
+};
@@ -0,0 +1,54 @@
+// Addresses that join links and QR codes are built from. In a classroom the phones reach the
+// server over the room's router, so a link built from the address the admin page was opened on
+// (often localhost) would send every phone to itself. A configured public URL wins, then a LAN
+// address the admin picked, then the request's own host with loopback swapped for a LAN address.
+
+const os = require('os');
+
+// IPv4 addresses of this machine that other devices on the network can reach
+function listLanAddresses(interfaces = os.networkInterfaces()) {
+  return Object.entries(interfaces).flatMap(([name, addresses]) =>
+    (addresses || [])
+      .filter(entry => (entry.family === 'IPv4' || entry.family === 4) && !entry.internal)
+      .map(entry => ({ interface: name, address: entry.address }))
+  );
+}
+
+function isLoopbackHost(hostname) {
+  return hostname === 'localhost' || hostname === '[::1]' || /^127\./.test(hostname);
+}
+
+// PUBLIC_URL without its trailing slash; throws on anything but an absolute http(s) URL
+function normalizePublicUrl(publicUrl) {
+  if (!publicUrl) return null;
+  let url;
+  try {
+    url = new URL(publicUrl);
+  } catch (error) {
+    throw new Error(`PUBLIC_URL is not a valid URL: ${publicUrl}`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`PUBLIC_URL must be an http or https URL: ${publicUrl}`);
+  }
+  return `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+}
+
+// Base URL (no trailing slash) for links handed to participants and projectors.
+//   publicUrl     configured public URL, used as is
+//   lanAddress    LAN address chosen by the admin, on the port the request came in on
+//   protocol/host where the request came in (host may carry a port)
+//   lanAddresses  from listLanAddresses; the first replaces a loopback host
+function resolveBaseUrl({ publicUrl = null, lanAddress = null, protocol, host, lanAddresses = [] }) {
+  if (publicUrl) return publicUrl;
+  const { hostname, port } = new URL(`${protocol}://${host}`);
+  const address = lanAddress || (isLoopbackHost(hostname) && lanAddresses.length > 0 ? lanAddresses[0].address : null);
+  if (!address) return `${protocol}://${host}`;
+  return `${protocol}://${address}${port ? `:${port}` : ''}`;
+}
+
+module.exports = {
+  listLanAddresses,
+  isLoopbackHost,
+  normalizePublicUrl,
+  resolveBaseUrl
+};
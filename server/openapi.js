@@ -0,0 +1,641 @@
+// OpenAPI 3.0 description of the /api/v1 REST surface, served at /api/v1/openapi.json.
+// Keep it in step with the routes in app.js; the Socket.IO protocol is documented in the README.
+
+const { version } = require('../package.json');
+const { ADVANCE_MODES } = require('./advance');
+const { ANSWER_MODES, DEFAULT_MAX_CHOICES, MAX_CHOICES } = require('./questions');
+const { STRATEGIES } = require('./simulator');
+const { exportFormats } = require('./export');
+const { DEFAULT_CAPACITY, MAX_CAPACITY } = require('./lobby');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES } = require('./i18n');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const json = (schema, description = 'OK') => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+const body = (schema, required = true) => ({
+  required,
+  content: { 'application/json': { schema } }
+});
+
+const error = (description) => json(ref('Error'), description);
+
+// Per-channel numbers keyed by channel id
+const channelValues = (description) => ({
+  type: 'object',
+  description,
+  additionalProperties: { type: 'number' }
+});
+
+const sessionId = { name: 'sessionId', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } };
+const setId = { name: 'setId', in: 'path', required: true, schema: { type: 'string' } };
+
+const adminToken = [{ adminToken: [] }];
+const adminSecret = [{ adminSecret: [] }];
+const optionalAdminToken = [{}, { adminToken: [] }]; // the token unlocks the exact graph under privacy mode
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error', 'code'],
+    properties: {
+      error: { type: 'string', description: 'Human-readable message' },
+      code: { type: 'string', description: 'Stable machine-readable code, e.g. session_not_found' },
+      details: { type: 'array', items: { type: 'string' }, description: 'Validation problems, one per entry' }
+    },
+    additionalProperties: true
+  },
+  Channel: {
+    type: 'object',
+    required: ['id', 'name', 'color'],
+    properties: {
+      id: { type: 'string', pattern: '^[a-z][a-z0-9_-]{0,31}$' },
+      name: { type: 'string' },
+      color: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' }
+    }
+  },
+  Question: {
+    type: 'object',
+    required: ['text', 'channel'],
+    properties: {
+      text: { type: 'string' },
+      channel: { type: 'string', description: 'Channel id' },
+      key: { type: 'string', description: 'Built-in question id (channel-n); phones reading another language show its translation' },
+      mode: { type: 'string', enum: ANSWER_MODES, default: 'single' },
+      maxChoices: { type: 'integer', minimum: 2, maximum: MAX_CHOICES, default: DEFAULT_MAX_CHOICES, description: 'multi and ranked only' }
+    }
+  },
+  QuestionSetInput: {
+    type: 'object',
+    required: ['name', 'questions'],
+    properties: {
+      name: { type: 'string', maxLength: 80 },
+      questions: { type: 'array', items: ref('Question') },
+      channels: { type: 'array', items: ref('Channel'), description: 'Defaults to the four-channel model' }
+    }
+  },
+  QuestionSet: {
+    allOf: [ref('QuestionSetInput'), {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        createdAt: { type: 'integer' },
+        updatedAt: { type: 'integer' }
+      }
+    }]
+  },
+  QuestionSetSummary: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      builtIn: { type: 'boolean' },
+      questionCount: { type: 'integer' },
+      channels: { type: 'array', items: ref('Channel') },
+      channelCounts: channelValues('Questions per channel')
+    }
+  },
+  AdvancePolicy: {
+    type: 'object',
+    properties: {
+      mode: { type: 'string', enum: ADVANCE_MODES, default: 'all' },
+      questionDurationMs: { type: 'integer', default: 20000, description: '0 (no deadline) or 5000-600000' },
+      quorumPercent: { type: 'integer', minimum: 1, maximum: 100, default: 80 },
+      advanceDelayMs: { type: 'integer', minimum: 0, maximum: 60000, default: 5000 }
+    }
+  },
+  Privacy: {
+    type: 'object',
+    description: 'What readers without the admin token see',
+    properties: {
+      minGroupSize: { type: 'integer', minimum: 0, maximum: MAX_CAPACITY, default: 0, description: 'Withhold edges and structural metrics while the session has fewer nodes (0 = never)' },
+      noiseEpsilon: { type: 'number', minimum: 0.1, maximum: 10, nullable: true, default: null, description: 'Laplace noise of scale 1/epsilon on public embeddings and degrees (null = exact)' },
+      delayUpdates: { type: 'boolean', default: false, description: 'Publish the graph only when a question closes' }
+    }
+  },
+  GraphPrivacy: {
+    allOf: [ref('Privacy'), {
+      type: 'object',
+      properties: {
+        exact: { type: 'boolean', description: 'False when this payload is the public view' },
+        publishedEpoch: { type: 'integer', description: 'Epoch this payload shows' },
+        edgesWithheld: { type: 'boolean', description: 'Fewer nodes than minGroupSize, or noise is on: no edges, connections, communities or analytics' }
+      }
+    }]
+  },
+  SessionInput: {
+    type: 'object',
+    properties: {
+      locale: { type: 'string', enum: SUPPORTED_LOCALES, default: DEFAULT_LOCALE, description: 'Language of the built-in questions, default channel names, descriptions and participant/display pages' },
+      questionSetId: { type: 'string', default: 'default' },
+      perChannel: { type: 'integer', minimum: 1, description: 'Random sample of N questions per channel' },
+      questions: { type: 'array', items: ref('Question'), description: 'Inline questions instead of a saved set' },
+      channels: { type: 'array', items: ref('Channel') },
+      advancePolicy: ref('AdvancePolicy'),
+      allowSelfVote: { type: 'boolean', default: true },
+      personalSummary: { type: 'boolean', default: true, description: 'Show each participant their own node when the session completes' },
+      privacy: ref('Privacy'),
+      capacity: { type: 'integer', minimum: 1, maximum: MAX_CAPACITY, default: DEFAULT_CAPACITY, description: 'Most participants at once' },
+      lockOnStart: { type: 'boolean', default: false, description: 'Lock joining when the first question opens' },
+      lanAddress: { type: 'string', description: 'One of the lanAddresses from /network for the join URL and QR code; ignored when PUBLIC_URL is set' }
+    }
+  },
+  SessionCreated: {
+    type: 'object',
+    properties: {
+      sessionId: { type: 'string', format: 'uuid' },
+      adminToken: { type: 'string' },
+      locale: { type: 'string' },
+      totalQuestions: { type: 'integer' },
+      channels: { type: 'array', items: ref('Channel') },
+      advancePolicy: ref('AdvancePolicy'),
+      allowSelfVote: { type: 'boolean' },
+      personalSummary: { type: 'boolean' },
+      privacy: ref('Privacy'),
+      capacity: { type: 'integer' },
+      lockOnStart: { type: 'boolean' },
+      joinUrl: { type: 'string' },
+      displayUrl: { type: 'string', description: 'Read-only projector view of the session' },
+      qrCode: { type: 'string', description: 'PNG data URL of the join URL' }
+    }
+  },
+  QuestionTimer: {
+    type: 'object',
+    properties: {
+      questionIndex: { type: 'integer' },
+      deadline: { type: 'integer', nullable: true, description: 'Server epoch ms' },
+      durationMs: { type: 'integer' },
+      remainingMs: { type: 'integer', nullable: true },
+      paused: { type: 'boolean' },
+      closed: { type: 'boolean' }
+    }
+  },
+  SessionStatus: {
+    type: 'object',
+    properties: {
+      active: { type: 'boolean' },
+      locale: { type: 'string' },
+      participantCount: { type: 'integer' },
+      currentQuestionIndex: { type: 'integer', description: '-1 before the first question' },
+      totalQuestions: { type: 'integer' },
+      epochCount: { type: 'integer' },
+      paused: { type: 'boolean', description: 'The admin paused the question flow' },
+      identityDeleted: { type: 'boolean' },
+      advancePolicy: ref('AdvancePolicy'),
+      allowSelfVote: { type: 'boolean' },
+      personalSummary: { type: 'boolean' },
+      privacy: ref('Privacy'),
+      capacity: { type: 'integer' },
+      locked: { type: 'boolean', description: 'Joining is closed' },
+      completed: { type: 'boolean', description: 'Every question has been asked' },
+      timer: { allOf: [ref('QuestionTimer')], nullable: true }
+    }
+  },
+  Centrality: {
+    type: 'object',
+    properties: {
+      inDegree: { type: 'number' },
+      outDegree: { type: 'number' },
+      betweenness: { type: 'number' },
+      pagerank: { type: 'number' },
+      reciprocity: { type: 'number' },
+      clustering: { type: 'number' },
+      totalVolume: { type: 'number' }
+    }
+  },
+  Node: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      label: { type: 'string' },
+      embedding: channelValues('Whole percentages per channel, for display'),
+      rawEmbedding: channelValues('Incoming tie weight per channel'),
+      normalizedEmbedding: channelValues('Share of the incoming weight per channel (0-1, sums to 1; all 0 when isolated)'),
+      color: { type: 'string' },
+      size: { type: 'number' },
+      centrality: ref('Centrality'),
+      community: { type: 'integer', nullable: true },
+      role: { type: 'string', enum: ['Bridge', 'Initiator', 'Amplifier', 'Connector', 'Stabilizer'] },
+      isAnonymous: { type: 'boolean' },
+      description: { type: 'string' }
+    }
+  },
+  NodeProfile: {
+    allOf: [ref('Node'), {
+      type: 'object',
+      properties: {
+        channelMetrics: { type: 'object', additionalProperties: ref('Centrality'), nullable: true },
+        connections: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              targetId: { type: 'string' },
+              targetLabel: { type: 'string' },
+              channels: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: { channel: { type: 'string' }, weight: { type: 'number' }, color: { type: 'string' } }
+                }
+              }
+            }
+          }
+        },
+        privacy: ref('GraphPrivacy')
+      }
+    }]
+  },
+  Edge: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      source: { type: 'string' },
+      target: { type: 'string' },
+      channel: { type: 'string' },
+      color: { type: 'string' },
+      weight: { type: 'number' },
+      thickness: { type: 'number' },
+      timestamp: { type: 'integer' }
+    }
+  },
+  Analytics: {
+    type: 'object',
+    description: 'Community structure overall and per channel',
+    properties: {
+      overall: ref('LayerSummary'),
+      channels: { type: 'object', additionalProperties: ref('LayerSummary') }
+    }
+  },
+  LayerSummary: {
+    type: 'object',
+    properties: {
+      modularity: { type: 'number' },
+      reciprocity: { type: 'number' },
+      communities: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { id: { type: 'integer' }, size: { type: 'integer' }, nodes: { type: 'array', items: { type: 'string' } } }
+        }
+      }
+    }
+  },
+  Graph: {
+    type: 'object',
+    properties: {
+      version: { type: 'integer', description: 'Last graph-delta version included (live graph only)' },
+      epoch: { type: 'integer', description: 'Replayed epoch (epoch graphs only)' },
+      nodes: { type: 'array', items: ref('Node') },
+      edges: { type: 'array', items: ref('Edge') },
+      channels: { type: 'array', items: ref('Channel') },
+      analytics: { allOf: [ref('Analytics')], nullable: true },
+      privacy: ref('GraphPrivacy')
+    }
+  },
+  Epochs: {
+    type: 'object',
+    properties: {
+      currentEpoch: { type: 'integer' },
+      epochs: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            epoch: { type: 'integer' },
+            questionIndex: { type: 'integer' },
+            question: { type: 'string', nullable: true },
+            channel: { type: 'string', nullable: true },
+            startedAt: { type: 'integer', nullable: true },
+            responses: { type: 'integer', nullable: true, description: 'null for epochs the public view has not published yet' }
+          }
+        }
+      }
+    }
+  },
+  SessionMetrics: {
+    type: 'object',
+    properties: {
+      sessionId: { type: 'string' },
+      correlationId: { type: 'string' },
+      currentQuestionIndex: { type: 'integer' },
+      participants: { type: 'object', properties: { total: { type: 'integer' }, connected: { type: 'integer' } } },
+      sockets: { type: 'object', properties: { participants: { type: 'integer' }, admins: { type: 'integer' }, displays: { type: 'integer' } } },
+      responsesPerQuestion: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { questionIndex: { type: 'integer' }, responses: { type: 'integer' }, skipped: { type: 'integer' } }
+        }
+      },
+      responseLatency: {
+        type: 'object',
+        properties: {
+          count: { type: 'integer' },
+          meanMs: { type: 'integer', nullable: true },
+          medianMs: { type: 'integer', nullable: true },
+          p90Ms: { type: 'integer', nullable: true }
+        }
+      }
+    }
+  },
+  ServerMetrics: {
+    type: 'object',
+    properties: {
+      activeSessions: { type: 'integer' },
+      participants: { type: 'integer' },
+      sockets: { type: 'integer' },
+      uptimeSeconds: { type: 'integer' },
+      memory: { type: 'object', properties: { rssBytes: { type: 'integer' }, heapUsedBytes: { type: 'integer' } } }
+    }
+  },
+  Network: {
+    type: 'object',
+    properties: {
+      publicUrl: { type: 'string', nullable: true, description: 'PUBLIC_URL, used for every join URL when set' },
+      lanAddresses: {
+        type: 'array',
+        items: { type: 'object', properties: { interface: { type: 'string' }, address: { type: 'string' } } },
+        description: "This machine's IPv4 addresses other devices on the network can reach"
+      },
+      baseUrl: { type: 'string', description: 'Origin a session created by this request would get without a lanAddress' }
+    }
+  },
+  Locale: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', enum: SUPPORTED_LOCALES },
+      name: { type: 'string', description: 'Name in the language itself' },
+      dir: { type: 'string', enum: ['ltr', 'rtl'] }
+    }
+  },
+  LocaleBundle: {
+    allOf: [ref('Locale'), {
+      type: 'object',
+      properties: {
+        channels: { type: 'object', additionalProperties: { type: 'string' }, description: 'Default channel names by id' },
+        channelLabels: { type: 'object', additionalProperties: { type: 'string' } },
+        questions: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } }, description: 'Built-in questions by channel; key channel-n is entry n' },
+        roles: { type: 'object', additionalProperties: { type: 'string' } },
+        descriptions: { type: 'object', additionalProperties: { type: 'string' } },
+        ui: { type: 'object', additionalProperties: { type: 'string' }, description: 'Participant and display page text; {name} placeholders' }
+      }
+    }]
+  },
+  LobbySettings: {
+    type: 'object',
+    properties: {
+      capacity: { type: 'integer' },
+      locked: { type: 'boolean' },
+      lockOnStart: { type: 'boolean' },
+      participantCount: { type: 'integer' }
+    }
+  },
+  Lobby: {
+    allOf: [ref('LobbySettings'), {
+      type: 'object',
+      properties: {
+        participants: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string', nullable: true, description: 'Null once the identity layer is removed' },
+              label: { type: 'string', description: 'The node label shown in the graph' },
+              connected: { type: 'boolean' }
+            }
+          }
+        }
+      }
+    }]
+  },
+  Success: {
+    type: 'object',
+    properties: { success: { type: 'boolean', enum: [true] }, message: { type: 'string' } }
+  },
+  SimulationResult: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      strategy: { type: 'string', enum: STRATEGIES },
+      joined: { type: 'integer' },
+      rejected: { type: 'integer', description: 'Turned away, e.g. by the participant cap' },
+      participantCount: { type: 'integer' }
+    }
+  }
+};
+
+const notFound = error('Session not found (code session_not_found)');
+const unauthorized = error('Missing or wrong admin token (code admin_token_required)');
+const secretRequired = error('ADMIN_SECRET is set and was not presented (code admin_secret_required)');
+
+const paths = {
+  '/channels': {
+    get: { summary: 'Default channel schema', responses: { 200: json({ type: 'array', items: ref('Channel') }) } }
+  },
+  '/locales': {
+    get: { summary: 'Available languages', responses: { 200: json({ type: 'array', items: ref('Locale') }) } }
+  },
+  '/locales/{locale}': {
+    parameters: [{ name: 'locale', in: 'path', required: true, schema: { type: 'string' } }],
+    get: { summary: 'Locale bundle', responses: { 200: json(ref('LocaleBundle')), 404: error('Unknown locale (code locale_not_found)') } }
+  },
+  '/question-sets': {
+    get: { summary: 'List question sets', responses: { 200: json({ type: 'array', items: ref('QuestionSetSummary') }) } },
+    post: {
+      summary: 'Save a question set',
+      security: adminSecret,
+      requestBody: body(ref('QuestionSetInput')),
+      responses: { 201: json(ref('QuestionSet'), 'Created'), 400: error('Invalid set'), 401: secretRequired }
+    }
+  },
+  '/question-sets/{setId}': {
+    parameters: [setId],
+    get: { summary: 'Get a question set', responses: { 200: json(ref('QuestionSet')), 404: error('Unknown set') } },
+    put: {
+      summary: 'Replace a saved question set',
+      security: adminSecret,
+      requestBody: body(ref('QuestionSetInput')),
+      responses: { 200: json(ref('QuestionSet')), 400: error('Invalid set'), 401: secretRequired, 403: error('Built-in set'), 404: error('Unknown set') }
+    },
+    delete: {
+      summary: 'Delete a saved question set',
+      security: adminSecret,
+      responses: { 200: json(ref('Success')), 401: secretRequired, 403: error('Built-in set'), 404: error('Unknown set') }
+    }
+  },
+  '/sessions': {
+    post: {
+      summary: 'Create a session',
+      security: adminSecret,
+      requestBody: body(ref('SessionInput'), false),
+      responses: { 200: json(ref('SessionCreated')), 400: error('Invalid setup'), 401: secretRequired, 404: error('Unknown question set') }
+    }
+  },
+  '/sessions/{sessionId}/status': {
+    parameters: [sessionId],
+    get: { summary: 'Session state and current question timer', responses: { 200: json(ref('SessionStatus')), 404: notFound } }
+  },
+  '/sessions/{sessionId}/graph': {
+    parameters: [sessionId],
+    get: { summary: 'Live graph snapshot (without the admin token the public view, by public node id)', security: optionalAdminToken, responses: { 200: json(ref('Graph')), 404: notFound } }
+  },
+  '/sessions/{sessionId}/node/{nodeId}': {
+    parameters: [sessionId, { name: 'nodeId', in: 'path', required: true, schema: { type: 'string' }, description: 'Participant id with the admin token, public node id without it' }],
+    get: { summary: 'Node profile (without the admin token the public view, by public node id)', security: optionalAdminToken, responses: { 200: json(ref('NodeProfile')), 404: error('Unknown session or node') } }
+  },
+  '/sessions/{sessionId}/epochs': {
+    parameters: [sessionId],
+    get: { summary: 'Epoch timeline', security: optionalAdminToken, responses: { 200: json(ref('Epochs')), 404: notFound } }
+  },
+  '/sessions/{sessionId}/epochs/{epoch}/graph': {
+    parameters: [sessionId, { name: 'epoch', in: 'path', required: true, schema: { type: 'integer', minimum: 0 } }],
+    get: { summary: 'Graph replayed up to the end of an epoch; unpublished epochs are 404 for the public view', security: optionalAdminToken, responses: { 200: json(ref('Graph')), 404: error('Unknown session or epoch') } }
+  },
+  '/sessions/{sessionId}/metrics': {
+    parameters: [sessionId],
+    get: { summary: 'Session metrics', security: adminToken, responses: { 200: json(ref('SessionMetrics')), 401: unauthorized, 404: notFound } }
+  },
+  '/sessions/{sessionId}/export/{format}': {
+    parameters: [sessionId, { name: 'format', in: 'path', required: true, schema: { type: 'string', enum: Object.keys(exportFormats) } }],
+    get: {
+      summary: 'Anonymised export download',
+      security: adminToken,
+      responses: { 200: { description: 'File attachment' }, 400: error('Unknown format'), 401: unauthorized, 404: notFound }
+    }
+  },
+  '/sessions/{sessionId}/participants': {
+    parameters: [sessionId],
+    get: { summary: 'Joined participants with their names', security: adminToken, responses: { 200: json(ref('Lobby')), 401: unauthorized, 404: notFound } }
+  },
+  '/sessions/{sessionId}/participants/{participantId}': {
+    parameters: [sessionId, { name: 'participantId', in: 'path', required: true, schema: { type: 'string' } }],
+    delete: {
+      summary: 'Remove a participant with their node, ties and answers',
+      security: adminToken,
+      responses: {
+        200: json({ type: 'object', properties: { success: { type: 'boolean' }, participantCount: { type: 'integer' } } }),
+        401: unauthorized,
+        404: error('Unknown session or participant'),
+        409: error('Identity layer already removed (code identity_deleted): node labels are fixed from then on')
+      }
+    }
+  },
+  '/sessions/{sessionId}/lobby': {
+    parameters: [sessionId],
+    post: {
+      summary: 'Lock or unlock joining and change the capacity',
+      security: adminToken,
+      requestBody: body({
+        type: 'object',
+        properties: { locked: { type: 'boolean' }, capacity: { type: 'integer', minimum: 1, maximum: MAX_CAPACITY } }
+      }),
+      responses: {
+        200: json({ allOf: [ref('LobbySettings'), { type: 'object', properties: { success: { type: 'boolean' } } }] }),
+        400: error('Invalid settings'),
+        401: unauthorized,
+        404: notFound,
+        409: error('Capacity below the participants already joined')
+      }
+    }
+  },
+  '/sessions/{sessionId}/start-questions': {
+    parameters: [sessionId],
+    post: {
+      summary: 'Open the first question (paused, with its clock stopped, if the session is paused)',
+      security: adminToken,
+      responses: { 200: json(ref('Success')), 401: unauthorized, 404: notFound, 409: error('Questions already started, or the session has ended') }
+    }
+  },
+  '/sessions/{sessionId}/pause-resume': {
+    parameters: [sessionId],
+    post: {
+      summary: 'Pause or resume the question flow',
+      security: adminToken,
+      requestBody: body({ type: 'object', required: ['pause'], properties: { pause: { type: 'boolean' } } }),
+      responses: {
+        200: json({ type: 'object', properties: { success: { type: 'boolean' }, paused: { type: 'boolean' } } }),
+        400: error('pause is not a boolean (code invalid_request)'),
+        401: unauthorized,
+        404: notFound
+      }
+    }
+  },
+  '/sessions/{sessionId}/end': {
+    parameters: [sessionId],
+    post: { summary: 'End the session and archive it without names', security: adminToken, responses: { 200: json(ref('Success')), 401: unauthorized, 404: notFound } }
+  },
+  '/sessions/{sessionId}/delete-identities': {
+    parameters: [sessionId],
+    post: {
+      summary: 'Remove the identity layer (irreversible)',
+      security: adminToken,
+      responses: { 200: json(ref('Success')), 401: unauthorized, 404: notFound, 409: error('Identity layer already removed') }
+    }
+  },
+  '/sessions/{sessionId}/simulate': {
+    parameters: [sessionId],
+    post: {
+      summary: 'Add simulated participants',
+      security: adminToken,
+      requestBody: body({
+        type: 'object',
+        required: ['count'],
+        properties: {
+          count: { type: 'integer', minimum: 1, maximum: 50 },
+          strategy: { type: 'string', enum: STRATEGIES, default: 'random' },
+          skipRate: { type: 'number', minimum: 0, maximum: 1 }
+        }
+      }),
+      responses: {
+        200: json(ref('SimulationResult')),
+        400: error('Invalid options'),
+        401: unauthorized,
+        404: notFound,
+        409: error('No bot could join (code simulation_rejected, with the SimulationResult fields)')
+      }
+    },
+    delete: {
+      summary: 'Disconnect all simulated participants',
+      security: adminToken,
+      responses: {
+        200: json({ type: 'object', properties: { success: { type: 'boolean' }, stopped: { type: 'integer' } } }),
+        401: unauthorized,
+        404: notFound
+      }
+    }
+  },
+  '/network': {
+    get: { summary: 'Addresses available for join URLs', security: adminSecret, responses: { 200: json(ref('Network')), 401: secretRequired } }
+  },
+  '/metrics': {
+    get: { summary: 'Server metrics', security: adminSecret, responses: { 200: json(ref('ServerMetrics')), 401: secretRequired } }
+  }
+};
+
+const openApiSpec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Collective Embedding API',
+    version,
+    description: 'REST API for running sessions. Errors always have the Error shape and a 4xx/5xx status. ' +
+      'Live updates (answers, timers, graph deltas) are sent over Socket.IO; see the README.'
+  },
+  servers: [{ url: '/api/v1' }],
+  components: {
+    schemas,
+    securitySchemes: {
+      adminToken: { type: 'http', scheme: 'bearer', description: 'The adminToken returned when the session was created' },
+      adminSecret: { type: 'http', scheme: 'bearer', description: 'ADMIN_SECRET; only enforced when the server sets it' }
+    }
+  },
+  paths
+};
+
+module.exports = {
+  openApiSpec
+};
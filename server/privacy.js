@@ -0,0 +1,258 @@
+// Privacy mode for the public views of a session: the graph, epoch and node routes read without
+// the admin token, and projector displays. Requests carrying the admin token see the exact graph.
+//
+//   minGroupSize   while the session has fewer nodes, directed edges and everything derived from
+//                  who chose whom (connections, betweenness, PageRank, communities...) are withheld
+//   noiseEpsilon   Laplace noise of scale 1/epsilon on each public embedding weight and tie volume.
+//                  One answer moves each of them by at most 1, so this is epsilon-differentially
+//                  private per published value. Edges and the structural metrics are withheld as
+//                  below minGroupSize (exact edge weights add up to the exact embeddings), and roles
+//                  and descriptions are derived from the noisy values only. The noise is fixed per
+//                  graph state, so refetching cannot average it away
+//   delayUpdates   publish the graph as it stood when the last question closed, so a single vote
+//                  cannot be traced by watching the graph change while a question is open
+//
+// Everything off (the default) publishes the exact graph. Whatever the settings, public views
+// name nodes and edges by their public ids (see publicNodeId in graph.js) and list them in that
+// order, so the answer options phones get, which pair participant ids with names, cannot be
+// matched to the public nodes.
+
+const crypto = require('crypto');
+const {
+  sessionAtEpoch,
+  buildNodePayload,
+  buildNodeProfile,
+  buildEdgePayload,
+  publicNodeId,
+  publicEdgeId,
+  summarizeAnalysis,
+  classifyRole,
+  roundEmbedding,
+  normalizeEmbedding,
+  embeddingToPercentages,
+  generateNodeColor,
+  generateNodeDescription
+} = require('./graph');
+const { MAX_CAPACITY } = require('./lobby');
+
+const defaultPrivacy = {
+  minGroupSize: 0, // 0 = always publish edges
+  noiseEpsilon: null, // null = no noise
+  delayUpdates: false
+};
+
+const MAX_GROUP_SIZE = MAX_CAPACITY;
+const MIN_NOISE_EPSILON = 0.1;
+const MAX_NOISE_EPSILON = 10;
+
+// Returns a list of human-readable problems; empty when the settings are valid.
+// Omitted fields fall back to the defaults.
+function validatePrivacy(privacy) {
+  if (!privacy || typeof privacy !== 'object' || Array.isArray(privacy)) {
+    return ['privacy must be an object'];
+  }
+
+  const { minGroupSize, noiseEpsilon, delayUpdates } = normalizePrivacy(privacy);
+  const errors = [];
+
+  if (!Number.isInteger(minGroupSize) || minGroupSize < 0 || minGroupSize > MAX_GROUP_SIZE) {
+    errors.push(`privacy.minGroupSize must be an integer between 0 and ${MAX_GROUP_SIZE}`);
+  }
+
+  if (noiseEpsilon !== null && (typeof noiseEpsilon !== 'number' || !(noiseEpsilon >= MIN_NOISE_EPSILON && noiseEpsilon <= MAX_NOISE_EPSILON))) {
+    errors.push(`privacy.noiseEpsilon must be null or between ${MIN_NOISE_EPSILON} and ${MAX_NOISE_EPSILON}`);
+  }
+
+  if (typeof delayUpdates !== 'boolean') {
+    errors.push('privacy.delayUpdates must be a boolean');
+  }
+
+  return errors;
+}
+
+// Defaults merged with the known fields of (validated) settings
+function normalizePrivacy(privacy = {}) {
+  const merged = { ...defaultPrivacy };
+  for (const key of Object.keys(defaultPrivacy)) {
+    if (privacy[key] !== undefined) {
+      merged[key] = privacy[key];
+    }
+  }
+  return merged;
+}
+
+function isPrivacyActive(privacy) {
+  return privacy.minGroupSize > 0 || privacy.noiseEpsilon !== null || privacy.delayUpdates;
+}
+
+// Latest epoch the public may see. With delayUpdates the open question's epoch stays
+// hidden until it closes; the lobby (before the first question) is always published.
+function publishedEpoch(session) {
+  const { delayUpdates } = session.privacy;
+  if (!delayUpdates || session.currentQuestionIndex < 0 || session.questionClosed) {
+    return session.epochCount;
+  }
+  return session.epochCount - 1;
+}
+
+// Laplace(0, scale) sample derived from the session's secret seed and a key, so the
+// same published value always gets the same noise
+function laplaceNoise(seed, key, scale) {
+  const digest = crypto.createHmac('sha256', seed).update(key).digest();
+  const u = (digest.readUInt32BE(0) + 0.5) / 0x100000000 - 0.5; // uniform in (-0.5, 0.5)
+  return -scale * Math.sign(u) * Math.log(1 - 2 * Math.abs(u));
+}
+
+// Settings as recorded in graph payloads, plus what was applied to this one
+function describePrivacy(session, { exact, epoch, edgesWithheld = false }) {
+  return { ...session.privacy, exact, publishedEpoch: epoch, edgesWithheld };
+}
+
+// Public payloads are listed by id, so their order says nothing about who joined when
+const byId = (a, b) => (a.id < b.id ? -1 : 1);
+
+// Directed ties are withheld below the group size, and whenever noise is on
+function isEdgesWithheld(session, view) {
+  return view.graph.nodes.size < session.privacy.minGroupSize || session.privacy.noiseEpsilon !== null;
+}
+
+// Node payload after noise and withholding; `view` is the session at the published epoch.
+// With edges withheld, the role and description only use the published embedding and volumes.
+function publicNodePayload(view, id, { edgesWithheld, noiseKey }) {
+  const payload = buildNodePayload(view, id);
+  const { noiseEpsilon } = view.privacy;
+
+  if (noiseEpsilon !== null) {
+    const scale = 1 / noiseEpsilon;
+    const noisy = (field, value) => Math.max(0, value + laplaceNoise(view.noiseSeed, `${noiseKey}:${id}:${field}`, scale));
+
+    const embedding = {};
+    for (const [channel, weight] of Object.entries(payload.rawEmbedding)) {
+      embedding[channel] = noisy(channel, weight);
+    }
+    const centrality = { ...payload.centrality };
+    for (const field of ['inDegree', 'outDegree', 'totalVolume']) {
+      centrality[field] = Number(noisy(field, centrality[field]).toFixed(2));
+    }
+
+    payload.embedding = embeddingToPercentages(embedding);
+    payload.rawEmbedding = roundEmbedding(embedding);
+    payload.normalizedEmbedding = normalizeEmbedding(embedding);
+    payload.color = generateNodeColor(view, embedding);
+    payload.size = Math.max(10, centrality.totalVolume * 3 + 15);
+    payload.centrality = centrality;
+  }
+
+  if (edgesWithheld) {
+    const { inDegree, outDegree, totalVolume } = payload.centrality;
+    payload.centrality = { inDegree, outDegree, totalVolume };
+    payload.community = null;
+    payload.role = classifyRole(payload.centrality);
+    payload.description = generateNodeDescription(view, id, payload.rawEmbedding, payload.centrality, view.locale, payload.role);
+  }
+
+  payload.id = publicNodeId(view, id);
+  return payload;
+}
+
+function publicEdgePayload(view, edgeId) {
+  const payload = buildEdgePayload(view, edgeId);
+  return {
+    ...payload,
+    id: publicEdgeId(view, edgeId),
+    source: publicNodeId(view, payload.source),
+    target: publicNodeId(view, payload.target)
+  };
+}
+
+// Graph summary with the community members named by public id
+function publicAnalytics(view, analytics) {
+  const layer = ({ communities, ...summary }) => ({
+    ...summary,
+    communities: communities.map(community => ({ ...community, nodes: community.nodes.map(id => publicNodeId(view, id)).sort() }))
+  });
+
+  const channels = {};
+  for (const [channel, summary] of Object.entries(analytics.channels)) {
+    channels[channel] = layer(summary);
+  }
+  return { overall: layer(analytics.overall), channels };
+}
+
+// A graph-delta as projectors get it while privacy mode is off: the same changes, by public id
+function publicGraphDelta(session, delta) {
+  return {
+    ...delta,
+    nodes: delta.nodes.map(node => ({ ...node, id: publicNodeId(session, node.id) })).sort(byId),
+    edges: delta.edges.map(edge => ({
+      ...edge,
+      id: publicEdgeId(session, edge.id),
+      source: publicNodeId(session, edge.source),
+      target: publicNodeId(session, edge.target)
+    })).sort(byId),
+    removedEdges: delta.removedEdges.map(edgeId => publicEdgeId(session, edgeId)).sort(),
+    removedNodes: delta.removedNodes.map(id => publicNodeId(session, id)).sort(),
+    analytics: publicAnalytics(session, delta.analytics)
+  };
+}
+
+// The session as it stood at a published epoch
+function viewAt(session, epoch) {
+  return epoch === session.epochCount ? session : sessionAtEpoch(session, epoch);
+}
+
+// Graph snapshot for readers without the admin token, at `epoch` (default: the latest published)
+function buildPublicGraph(session, epoch = publishedEpoch(session)) {
+  const view = viewAt(session, epoch);
+  const edgesWithheld = isEdgesWithheld(session, view);
+  const options = { edgesWithheld, noiseKey: `${epoch}:${view.graph.revision}` };
+
+  return {
+    nodes: Array.from(view.graph.nodes.keys(), id => publicNodePayload(view, id, options)).sort(byId),
+    edges: edgesWithheld ? [] : Array.from(view.graph.edges.keys(), edgeId => publicEdgePayload(view, edgeId)).sort(byId),
+    analytics: edgesWithheld ? null : publicAnalytics(view, summarizeAnalysis(view)),
+    privacy: describePrivacy(session, { exact: !isPrivacyActive(session.privacy), epoch, edgesWithheld })
+  };
+}
+
+// Node profile for readers without the admin token, by public id; null until the node is published
+function buildPublicNode(session, publicId) {
+  const epoch = publishedEpoch(session);
+  const view = viewAt(session, epoch);
+  const id = Array.from(view.graph.nodes.keys()).find(nodeId => publicNodeId(view, nodeId) === publicId);
+  if (!id) return null;
+
+  const edgesWithheld = isEdgesWithheld(session, view);
+  const profile = buildNodeProfile(view, id);
+  const { embedding, rawEmbedding, normalizedEmbedding, centrality, community, role, description } =
+    publicNodePayload(view, id, { edgesWithheld, noiseKey: `${epoch}:${view.graph.revision}` });
+
+  return {
+    ...profile,
+    id: publicId,
+    embedding,
+    rawEmbedding,
+    normalizedEmbedding,
+    centrality,
+    community,
+    role,
+    channelMetrics: edgesWithheld ? null : profile.channelMetrics,
+    description,
+    connections: edgesWithheld ? [] : profile.connections.map(connection => ({ ...connection, targetId: publicNodeId(view, connection.targetId) })),
+    privacy: describePrivacy(session, { exact: !isPrivacyActive(session.privacy), epoch, edgesWithheld })
+  };
+}
+
+module.exports = {
+  defaultPrivacy,
+  validatePrivacy,
+  normalizePrivacy,
+  isPrivacyActive,
+  publishedEpoch,
+  laplaceNoise,
+  describePrivacy,
+  publicNodePayload,
+  publicGraphDelta,
+  buildPublicGraph,
+  buildPublicNode
+};
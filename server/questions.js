@@ -0,0 +1,168 @@
+// Question bank: default questions, validation and session ordering
+
+const { DEFAULT_LOCALE, bankQuestions, isBankKey } = require('./i18n');
+
+// Four-channel embedding questions, five per channel, from the default locale's bundle
+const defaultQuestions = bankQuestions(DEFAULT_LOCALE);
+
+const MAX_QUESTIONS = 100;
+const MAX_QUESTION_LENGTH = 300;
+
+// Answer modes: one person, up to maxChoices people, or a ranking of up to maxChoices
+const ANSWER_MODES = ['single', 'multi', 'ranked'];
+const DEFAULT_MAX_CHOICES = 3;
+const MAX_CHOICES = 5;
+
+// Built-in set, always available and read-only
+const defaultQuestionSet = {
+  id: 'default',
+  name: 'Default (four channels)',
+  builtIn: true,
+  questions: defaultQuestions
+};
+
+// Returns a list of human-readable problems; empty when the questions are valid
+function validateQuestions(questions, channels) {
+  if (!Array.isArray(questions) || questions.length === 0) {
+    return ['questions must be a non-empty array'];
+  }
+  if (questions.length > MAX_QUESTIONS) {
+    return [`a question set holds at most ${MAX_QUESTIONS} questions`];
+  }
+
+  const channelIds = Object.keys(channels);
+  const errors = [];
+
+  questions.forEach((question, index) => {
+    const text = question && typeof question.text === 'string' ? question.text.trim() : '';
+    if (!text) {
+      errors.push(`questions[${index}].text is required`);
+    } else if (text.length > MAX_QUESTION_LENGTH) {
+      errors.push(`questions[${index}].text exceeds ${MAX_QUESTION_LENGTH} characters`);
+    }
+
+    if (!question || !channelIds.includes(question.channel)) {
+      errors.push(`questions[${index}].channel must be one of: ${channelIds.join(', ')}`);
+    }
+
+    const mode = question && question.mode !== undefined ? question.mode : 'single';
+    const maxChoices = question ? question.maxChoices : undefined;
+    if (!ANSWER_MODES.includes(mode)) {
+      errors.push(`questions[${index}].mode must be one of: ${ANSWER_MODES.join(', ')}`);
+    } else if (mode === 'single' && maxChoices !== undefined && maxChoices !== 1) {
+      errors.push(`questions[${index}].maxChoices only applies to multi and ranked questions`);
+    } else if (mode !== 'single' && maxChoices !== undefined &&
+        (!Number.isInteger(maxChoices) || maxChoices < 2 || maxChoices > MAX_CHOICES)) {
+      errors.push(`questions[${index}].maxChoices must be an integer between 2 and ${MAX_CHOICES}`);
+    }
+  });
+
+  return errors;
+}
+
+// Strip anything but text, channel and answer mode from validated input. Built-in questions
+// keep their bank key, so a phone reading another language can show its own translation.
+function normalizeQuestions(questions) {
+  return questions.map(q => {
+    const normalized = { text: q.text.trim(), channel: q.channel };
+    if (isBankKey(q.key)) normalized.key = q.key;
+    if (!q.mode || q.mode === 'single') {
+      return normalized;
+    }
+    return { ...normalized, mode: q.mode, maxChoices: q.maxChoices || DEFAULT_MAX_CHOICES };
+  });
+}
+
+// How a question is answered, as sent with new-question
+function answerMode(question) {
+  return {
+    mode: question.mode || 'single',
+    maxChoices: question.mode && question.mode !== 'single' ? question.maxChoices : 1
+  };
+}
+
+// Edge weight for each chosen target. Every answer carries a total weight of 1:
+// multi-select splits it evenly, a ranking decays linearly (3/6, 2/6, 1/6 for a top three).
+function answerWeights(question, targetIds) {
+  const n = targetIds.length;
+  if (question.mode === 'ranked') {
+    const total = n * (n + 1) / 2;
+    return targetIds.map((id, rank) => [id, (n - rank) / total]);
+  }
+  return targetIds.map(id => [id, 1 / n]);
+}
+
+// Number of questions per channel
+function countByChannel(questions) {
+  return questions.reduce((counts, q) => {
+    counts[q.channel] = (counts[q.channel] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+// Function to shuffle array (Fisher-Yates algorithm)
+function shuffleArray(array) {
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+function groupByChannel(questions) {
+  const buckets = new Map();
+  for (const question of questions) {
+    if (!buckets.has(question.channel)) {
+      buckets.set(question.channel, []);
+    }
+    buckets.get(question.channel).push(question);
+  }
+  return buckets;
+}
+
+// Random sample of at most `count` questions from every channel
+function selectPerChannel(questions, count) {
+  const buckets = groupByChannel(shuffleArray(questions));
+  return Array.from(buckets.values()).flatMap(bucket => bucket.slice(0, count));
+}
+
+// Interleave channels in shuffled rounds so the same channel never runs back to back
+// (unless only one channel has questions left)
+function balanceQuestions(questions) {
+  const buckets = groupByChannel(shuffleArray(questions));
+  const ordered = [];
+  let previousChannel = null;
+
+  while (ordered.length < questions.length) {
+    const round = shuffleArray(
+      Array.from(buckets.keys()).filter(channel => buckets.get(channel).length > 0)
+    );
+    if (round.length > 1 && round[0] === previousChannel) {
+      round.push(round.shift());
+    }
+
+    for (const channel of round) {
+      ordered.push(buckets.get(channel).pop());
+      previousChannel = channel;
+    }
+  }
+
+  return ordered;
+}
+
+module.exports = {
+  ANSWER_MODES,
+  DEFAULT_MAX_CHOICES,
+  MAX_CHOICES,
+  defaultQuestions,
+  defaultQuestionSet,
+  validateQuestions,
+  normalizeQuestions,
+  answerMode,
+  answerWeights,
+  countByChannel,
+  selectPerChannel,
+  balanceQuestions,
+  shuffleArray
+};
@@ -0,0 +1,255 @@
+// Session state: the in-memory shape of a session, its JSON snapshot and the event-log epochs.
+
+const crypto = require('crypto');
+const { defaultChannels, toChannelMap, toChannelList, emptyEmbedding } = require('./channels');
+const { normalizeAdvancePolicy } = require('./advance');
+const { createDisplayState } = require('./display');
+const { normalizePrivacy } = require('./privacy');
+const { DEFAULT_CAPACITY } = require('./lobby');
+const { removeGraphNode } = require('./graph');
+const { DEFAULT_LOCALE } = require('./i18n');
+
+// Channel color mappings used when a session or question set brings no schema of its own
+const defaultChannelMap = toChannelMap(defaultChannels);
+
+// Fresh state of a session that has not started yet
+function createSessionState(id, questions, channels = defaultChannelMap, advancePolicy = normalizeAdvancePolicy()) {
+  return {
+    id,
+    correlationId: crypto.randomBytes(4).toString('hex'), // tags this session's log records (the id itself is a join credential)
+    channels, // channelId -> { color, name }
+    advancePolicy, // { mode, questionDurationMs, quorumPercent, advanceDelayMs }
+    allowSelfVote: true, // whether participants may pick themselves
+    personalSummary: true, // whether each phone is shown its own node when the session completes
+    locale: DEFAULT_LOCALE, // language of the built-in questions, channel names and descriptions
+    privacy: normalizePrivacy(), // { minGroupSize, noiseEpsilon, delayUpdates } for the public views
+    noiseSeed: crypto.randomBytes(16).toString('hex'), // keys the public noise (never sent out)
+    publicIdSeed: crypto.randomBytes(16).toString('hex'), // keys the public node and edge ids (never sent out, replaced on identity removal)
+    adminToken: crypto.randomBytes(24).toString('hex'),
+    isActive: true,
+    capacity: DEFAULT_CAPACITY, // most participants at once
+    joinLocked: false, // the admin closed the lobby
+    lockOnStart: false, // close the lobby when the first question opens
+    baseUrl: null, // origin of join links and QR codes, chosen at creation (see network.js)
+    completed: false, // every question has been asked
+    participants: new Map(), // id -> { name, socketId, resumeToken, connected, locale? (own language, if not the session's) }
+    disconnectTimers: new Map(), // participantId -> grace-period timeout
+    questions,
+    currentQuestionIndex: -1,
+    responses: new Map(), // questionIndex -> Map(participantId -> { targetParticipantIds, channel, timestamp, skipped? })
+    graph: {
+      nodes: new Map(), // participantId -> { id, embedding: { channelId: weight }, connections: Map(targetId -> Map(channel -> weight)) }
+      edges: new Map(), // edgeId -> { fromNodeId, toNodeId, channel, weight, timestamp }
+      identityMap: new Map(), // participantId -> name (DELETABLE)
+      revision: 0 // bumped on every tie change, keys the analytics cache
+    },
+    epochCount: 0,
+    epochs: [{ epoch: 0, questionIndex: -1, startedAt: Date.now() }], // epoch boundaries, for replay
+    history: [], // event log: { type: 'join' | 'response' | 'retract', epoch, timestamp, ... }
+    identityDeleted: false,
+    isPaused: false,
+    autoAdvanceTimer: null,
+    questionDeadline: null, // epoch ms when the current question closes (null = no deadline running)
+    pausedRemainingMs: null, // time left on the deadline while paused
+    questionClosed: false, // deadline passed or the question was moved on from
+    questionTimer: null,
+    graphVersion: 0, // sequence number of the last graph-delta sent to admins
+    graphDeltaTimer: null,
+    sentNodes: new Map(), // participantId -> last node payload sent in a delta (JSON)
+    dirtyEdges: new Set(), // edgeIds changed since the last delta
+    simulations: [], // running participant simulators (not persisted)
+    simulatedCount: 0, // bots spawned so far, numbers their names
+    display: createDisplayState() // projector focus, hidden channels and QR (not persisted)
+  };
+}
+
+// Plain JSON snapshot of a session. Names are only written while the
+// identity layer exists; after removal (or once ended) they never reach disk.
+function serializeSession(session) {
+  const keepNames = session.isActive && !session.identityDeleted;
+
+  return {
+    id: session.id,
+    correlationId: session.correlationId,
+    adminToken: session.adminToken,
+    isActive: session.isActive,
+    capacity: session.capacity,
+    joinLocked: session.joinLocked,
+    lockOnStart: session.lockOnStart,
+    baseUrl: session.baseUrl,
+    channels: toChannelList(session.channels),
+    advancePolicy: session.advancePolicy,
+    allowSelfVote: session.allowSelfVote,
+    personalSummary: session.personalSummary,
+    locale: session.locale,
+    privacy: session.privacy,
+    noiseSeed: session.noiseSeed,
+    publicIdSeed: session.publicIdSeed,
+    completed: session.completed,
+    questions: session.questions,
+    currentQuestionIndex: session.currentQuestionIndex,
+    questionDeadline: session.questionDeadline,
+    pausedRemainingMs: session.pausedRemainingMs,
+    questionClosed: session.questionClosed,
+    epochCount: session.epochCount,
+    epochs: session.epochs,
+    history: session.history,
+    identityDeleted: session.identityDeleted,
+    isPaused: session.isPaused,
+    simulatedCount: session.simulatedCount,
+    participants: Array.from(session.participants.values()).map(p => ({
+      id: p.id,
+      name: keepNames ? p.name : undefined,
+      resumeToken: p.resumeToken,
+      locale: p.locale
+    })),
+    responses: Array.from(session.responses.entries()).map(([questionIndex, answers]) => [
+      questionIndex,
+      Array.from(answers.entries())
+    ]),
+    nodes: Array.from(session.graph.nodes.values()).map(node => ({
+      id: node.id,
+      connections: Array.from(node.connections.entries()).map(([targetId, channelWeights]) => [
+        targetId,
+        Array.from(channelWeights.entries())
+      ])
+    })),
+    edges: Array.from(session.graph.edges.entries())
+  };
+}
+
+function restoreSession(snapshot) {
+  const session = createSessionState(
+    snapshot.id,
+    snapshot.questions,
+    toChannelMap(snapshot.channels || defaultChannels),
+    normalizeAdvancePolicy(snapshot.advancePolicy)
+  );
+  session.correlationId = snapshot.correlationId || session.correlationId;
+  session.adminToken = snapshot.adminToken;
+  session.isActive = snapshot.isActive;
+  session.capacity = snapshot.capacity || DEFAULT_CAPACITY;
+  session.joinLocked = Boolean(snapshot.joinLocked);
+  session.lockOnStart = Boolean(snapshot.lockOnStart);
+  session.baseUrl = snapshot.baseUrl || null;
+  session.allowSelfVote = snapshot.allowSelfVote !== false;
+  session.personalSummary = snapshot.personalSummary !== false;
+  session.locale = snapshot.locale || DEFAULT_LOCALE;
+  session.privacy = normalizePrivacy(snapshot.privacy);
+  session.noiseSeed = snapshot.noiseSeed || session.noiseSeed;
+  session.publicIdSeed = snapshot.publicIdSeed || session.publicIdSeed;
+  session.completed = Boolean(snapshot.completed);
+  session.currentQuestionIndex = snapshot.currentQuestionIndex;
+  session.questionDeadline = snapshot.questionDeadline ?? null;
+  session.pausedRemainingMs = snapshot.pausedRemainingMs ?? null;
+  session.questionClosed = Boolean(snapshot.questionClosed);
+  session.epochCount = snapshot.epochCount;
+  session.epochs = snapshot.epochs || Array.from({ length: snapshot.epochCount + 1 }, (_, epoch) => ({
+    epoch,
+    questionIndex: epoch - 1,
+    startedAt: null
+  }));
+  session.history = snapshot.history || historyFromResponses(snapshot);
+  session.identityDeleted = snapshot.identityDeleted;
+  session.isPaused = snapshot.isPaused;
+  session.simulatedCount = snapshot.simulatedCount || 0; // restored bots keep their Sim-NN names
+
+  // Restored participants are offline until their devices send rejoin-session
+  for (const p of snapshot.participants) {
+    session.participants.set(p.id, {
+      id: p.id,
+      name: p.name,
+      socketId: null,
+      resumeToken: p.resumeToken,
+      locale: p.locale,
+      connected: false
+    });
+    if (p.name && !session.identityDeleted) {
+      session.graph.identityMap.set(p.id, p.name);
+    }
+  }
+
+  for (const [questionIndex, answers] of snapshot.responses) {
+    session.responses.set(questionIndex, new Map(answers));
+  }
+
+  for (const node of snapshot.nodes) {
+    session.graph.nodes.set(node.id, {
+      id: node.id,
+      embedding: emptyEmbedding(session.channels),
+      connections: new Map(node.connections.map(([targetId, weights]) => [targetId, new Map(weights)]))
+    });
+  }
+
+  // Embeddings are kept incrementally while live, so rebuild them once from the connections
+  for (const node of session.graph.nodes.values()) {
+    for (const [targetId, channelWeights] of node.connections) {
+      const target = session.graph.nodes.get(targetId);
+      if (!target) continue;
+      for (const [channel, weight] of channelWeights) {
+        target.embedding[channel] += weight;
+      }
+    }
+  }
+
+  session.graph.edges = new Map(snapshot.edges);
+  return session;
+}
+
+// Chosen ids of a stored answer (answers saved before multi-select kept a single targetParticipantId)
+function answerTargets(answer) {
+  if (answer.targetParticipantIds) return answer.targetParticipantIds;
+  return answer.targetParticipantId ? [answer.targetParticipantId] : [];
+}
+
+// Snapshots written before the event log existed: treat every node as present
+// from the start and each question's answers as one epoch
+function historyFromResponses(snapshot) {
+  const joins = snapshot.nodes.map(node => ({ type: 'join', epoch: 0, timestamp: 0, participantId: node.id }));
+  const responses = snapshot.responses.flatMap(([questionIndex, answers]) =>
+    answers.map(([participantId, answer]) => ({
+      type: 'response',
+      epoch: questionIndex + 1,
+      timestamp: answer.timestamp,
+      questionIndex,
+      from: participantId,
+      to: answer.targetParticipantId,
+      channel: answer.channel
+    }))
+  );
+  return joins.concat(responses.sort((a, b) => a.timestamp - b.timestamp));
+}
+
+// Erase a participant removed by the admin: their node, every tie to or from it, their
+// answers and their events in the log, so replays never show them. Answers that chose
+// them stay recorded; only the ties go. Returns the ids of the removed edges.
+function forgetParticipant(session, participantId) {
+  session.participants.delete(participantId);
+  for (const answers of session.responses.values()) {
+    answers.delete(participantId);
+  }
+  session.history = session.history.filter(event =>
+    event.participantId !== participantId && event.from !== participantId && event.to !== participantId
+  );
+  return session.graph.nodes.has(participantId) ? removeGraphNode(session.graph, participantId) : [];
+}
+
+// Start a new epoch and remember where it began
+function beginEpoch(session) {
+  session.epochCount++;
+  session.epochs.push({
+    epoch: session.epochCount,
+    questionIndex: session.currentQuestionIndex,
+    startedAt: Date.now()
+  });
+}
+
+module.exports = {
+  defaultChannelMap,
+  createSessionState,
+  serializeSession,
+  restoreSession,
+  answerTargets,
+  forgetParticipant,
+  beginEpoch
+};
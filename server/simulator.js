@@ -0,0 +1,196 @@
+// Simulated participants for rehearsals, demos and load tests.
+// Every bot is a real Socket.IO client: it joins with join-session and answers each
+// new-question after a short think time, picking people according to a strategy:
+//
+//   random         everyone is equally likely
+//   preferential   people who have been picked before are picked more (preferential attachment)
+//   specialist     every bot has a persona channel; questions on that channel favour it
+//
+// Used by POST /api/sessions/:sessionId/simulate and by scripts/simulate.js.
+
+const { io } = require('socket.io-client');
+
+const STRATEGIES = ['random', 'preferential', 'specialist'];
+const MAX_BOTS = 50;
+const SPECIALIST_BIAS = 6; // how much more likely a specialist is picked on their own channel
+const JOIN_TIMEOUT_MS = 10000;
+
+// Returns a list of human-readable problems; empty when the options are valid
+function validateSimulationOptions({ count, strategy, skipRate }) {
+  const errors = [];
+
+  if (!Number.isInteger(count) || count < 1 || count > MAX_BOTS) {
+    errors.push(`count must be an integer between 1 and ${MAX_BOTS}`);
+  }
+  if (strategy !== undefined && !STRATEGIES.includes(strategy)) {
+    errors.push(`strategy must be one of: ${STRATEGIES.join(', ')}`);
+  }
+  if (skipRate !== undefined && (typeof skipRate !== 'number' || skipRate < 0 || skipRate > 1)) {
+    errors.push('skipRate must be a number between 0 and 1');
+  }
+
+  return errors;
+}
+
+// Weighted sample of up to `count` distinct candidates, in draw order
+function weightedSample(candidates, weights, count, random) {
+  const pool = candidates.map((id, index) => ({ id, weight: weights[index] }));
+  const picked = [];
+
+  while (picked.length < count && pool.length > 0) {
+    const total = pool.reduce((sum, entry) => sum + entry.weight, 0);
+    let threshold = random() * total;
+    let index = pool.findIndex(entry => (threshold -= entry.weight) < 0);
+    if (index < 0) index = pool.length - 1;
+    picked.push(pool.splice(index, 1)[0].id);
+  }
+
+  return picked;
+}
+
+// How strongly a bot leans towards each candidate on a question
+function candidateWeights(strategy, candidates, channel, { popularity, specialties }) {
+  switch (strategy) {
+    case 'preferential':
+      return candidates.map(id => 1 + (popularity.get(id) || 0));
+    case 'specialist':
+      return candidates.map(id => (specialties.get(id) === channel ? SPECIALIST_BIAS : 1));
+    default:
+      return candidates.map(() => 1);
+  }
+}
+
+// Number of people to name: one, a random share of a multi-select, or a full ranking
+function choiceCount(question, candidateCount, random) {
+  const max = Math.min(question.maxChoices || 1, candidateCount);
+  if (question.mode === 'multi') {
+    return 1 + Math.floor(random() * max);
+  }
+  return question.mode === 'ranked' ? max : Math.min(1, max);
+}
+
+// Spawn `count` bots in a session. Resolves `ready` with { joined, rejected } once every
+// bot has joined or been turned away (e.g. by the participant cap).
+function createSimulation({
+  url,
+  sessionId,
+  count,
+  strategy = 'random',
+  channels = [],
+  skipRate = 0.1,
+  thinkMs = [1000, 4000],
+  namePrefix = 'Sim',
+  firstNumber = 1, // bots are named Sim-01, Sim-02, ... from here on
+  random = Math.random,
+  log = () => {}
+}) {
+  const bots = [];
+  let stopped = false;
+  const popularity = new Map(); // participantId -> times picked by a bot
+  const specialties = new Map(); // bot participantId -> persona channel
+
+  function answer(bot, question) {
+    if (question.closed) return;
+
+    // Once names are removed a bot's own option has a new id; its persona follows it
+    const own = question.participants.find(p => p.self);
+    if (own && bot.persona) specialties.set(own.id, bot.persona);
+
+    const candidates = question.participants
+      .filter(p => question.allowSelfVote || !(p.self || p.id === bot.participantId))
+      .map(p => p.id);
+
+    let targets = [];
+    if (candidates.length > 0 && random() >= skipRate) {
+      const weights = candidateWeights(strategy, candidates, question.channel, { popularity, specialties });
+      targets = weightedSample(candidates, weights, choiceCount(question, candidates.length, random), random);
+    }
+
+    // Think for a while, but always answer before the deadline
+    let delay = thinkMs[0] + random() * (thinkMs[1] - thinkMs[0]);
+    if (question.remainingMs !== null && question.remainingMs !== undefined && !question.paused) {
+      delay = Math.min(delay, Math.max(0, question.remainingMs - 500));
+    }
+
+    clearTimeout(bot.answerTimer);
+    bot.answerTimer = setTimeout(() => {
+      targets.forEach(id => popularity.set(id, (popularity.get(id) || 0) + 1));
+      bot.socket.emit('submit-response', {
+        questionIndex: question.questionIndex,
+        targetParticipantIds: targets
+      });
+    }, delay);
+  }
+
+  function spawn(index) {
+    const name = `${namePrefix}-${String(firstNumber + index).padStart(2, '0')}`;
+    const persona = channels.length > 0 ? channels[index % channels.length] : null;
+    const socket = io(url, { forceNew: true, transports: ['websocket'] });
+    const bot = { name, persona, socket, participantId: null, resumeToken: null, answerTimer: null };
+    bots.push(bot);
+
+    socket.on('new-question', (question) => answer(bot, question));
+    socket.on('response-rejected', (data) => log(`${name}: answer rejected (${data.reason})`));
+    socket.on('session-ended', () => stopBot(bot));
+
+    return new Promise((resolve) => {
+      const timeout = setTimeout(() => {
+        log(`${name}: no reply to join-session`);
+        stopBot(bot);
+        resolve(false);
+      }, JOIN_TIMEOUT_MS);
+
+      // After a dropped connection, resume the same participant like a real device would
+      socket.on('connect', () => {
+        if (bot.participantId) {
+          socket.emit('rejoin-session', { sessionId, participantId: bot.participantId, resumeToken: bot.resumeToken });
+        } else {
+          socket.emit('join-session', { sessionId, name });
+        }
+      });
+      socket.on('joined', (data) => {
+        clearTimeout(timeout);
+        bot.participantId = data.participantId;
+        bot.resumeToken = data.resumeToken;
+        if (persona) specialties.set(data.participantId, persona);
+        resolve(true);
+      });
+      socket.on('join-error', (data) => {
+        clearTimeout(timeout);
+        log(`${name}: ${data.message}`);
+        stopBot(bot);
+        resolve(false);
+      });
+    });
+  }
+
+  function stopBot(bot) {
+    clearTimeout(bot.answerTimer);
+    bot.socket.close();
+  }
+
+  // Join one after another so the cap is hit deterministically
+  const ready = (async () => {
+    let joined = 0;
+    let index = 0;
+    for (; index < count && !stopped; index++) {
+      if (await spawn(index)) joined++;
+    }
+    return { joined, rejected: index - joined };
+  })();
+
+  return {
+    bots,
+    ready,
+    stop() {
+      stopped = true;
+      bots.forEach(stopBot);
+    }
+  };
+}
+
+module.exports = {
+  STRATEGIES,
+  validateSimulationOptions,
+  createSimulation
+};
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Persistence backends.
+// Every store exposes two collections, `sessions` (session snapshots) and
+// `questionSets`, each with save(record), remove(id) and loadAll().
+
+// One JSON file per record; writes go through a temp file so a crash never leaves half a snapshot
+function createFileCollection(dir, prefix) {
+  const fileFor = (id) => path.join(dir, `${prefix}-${id}.json`);
+  const pattern = new RegExp(`^${prefix}-[\\w-]+\\.json$`);
+
+  return {
+    save(record) {
+      const file = fileFor(record.id);
+      const tmpFile = `${file}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(record));
+      fs.renameSync(tmpFile, file);
+    },
+
+    remove(id) {
+      fs.rmSync(fileFor(id), { force: true });
+    },
+
+    loadAll() {
+      return fs.readdirSync(dir)
+        .filter(file => pattern.test(file))
+        .map(file => {
+          try {
+            return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+          } catch (error) {
+            logger.warn('storage.unreadable_file', { file, error: error.message });
+            return null;
+          }
+        })
+        .filter(Boolean);
+    }
+  };
+}
+
+function createFileStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  return {
+    sessions: createFileCollection(dir, 'session'),
+    questionSets: createFileCollection(dir, 'question-set')
+  };
+}
+
+// Process-local collection (nothing survives a restart)
+function createMemoryCollection() {
+  const records = new Map();
+
+  return {
+    save(record) {
+      records.set(record.id, JSON.parse(JSON.stringify(record)));
+    },
+
+    remove(id) {
+      records.delete(id);
+    },
+
+    loadAll() {
+      return Array.from(records.values());
+    }
+  };
+}
+
+function createMemoryStore() {
+  return {
+    sessions: createMemoryCollection(),
+    questionSets: createMemoryCollection()
+  };
+}
+
+function createStore(kind, options = {}) {
+  switch (kind) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore(options.dir);
+    default:
+      throw new Error(`Unknown storage backend: ${kind}`);
+  }
+}
+
+module.exports = {
+  createStore,
+  createFileStore,
+  createMemoryStore
+};
@@ -0,0 +1,123 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createSession } = require('./helpers');
+
+test('errors share one shape and status codes', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const missing = await server.api('/sessions/00000000-0000-4000-8000-000000000000/status');
+  assert.equal(missing.status, 404);
+  assert.deepEqual(missing.body, { error: 'Session not found', code: 'session_not_found' });
+
+  const unknownRoute = await server.api('/no-such-route');
+  assert.equal(unknownRoute.status, 404);
+  assert.equal(unknownRoute.body.code, 'not_found');
+
+  const invalid = await server.api('/sessions', { method: 'POST', body: { advancePolicy: { mode: 'never' } } });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, 'invalid_advance_policy');
+  assert.equal(invalid.body.details.length, 1);
+
+  // Flags must be real booleans: a string or a number neither pauses nor resumes
+  const session = await createSession(server);
+  for (const pause of ['false', 1, undefined]) {
+    const flag = await server.api(`/sessions/${session.sessionId}/pause-resume`, { method: 'POST', body: { pause }, token: session.adminToken });
+    assert.equal(flag.status, 400);
+    assert.equal(flag.body.code, 'invalid_request');
+  }
+  assert.equal((await server.api(`/sessions/${session.sessionId}/status`)).body.paused, false);
+
+  const response = await fetch(`${server.url}/api/v1/sessions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"questions": ['
+  });
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).code, 'invalid_json');
+});
+
+test('control routes need the session admin token', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const session = await createSession(server);
+
+  for (const route of ['start-questions', 'pause-resume', 'end', 'delete-identities']) {
+    const { status, body } = await server.api(`/sessions/${session.sessionId}/${route}`, { method: 'POST', token: 'wrong' });
+    assert.equal(status, 401, route);
+    assert.equal(body.code, 'admin_token_required');
+  }
+  assert.equal((await server.api(`/sessions/${session.sessionId}/metrics`)).status, 401);
+
+  // Only the listed formats, not whatever the format table inherits
+  for (const format of ['xml', 'toString', 'constructor', '__proto__']) {
+    const { status, body } = await server.api(`/sessions/${session.sessionId}/export/${format}`, { token: session.adminToken });
+    assert.equal(status, 400, format);
+    assert.equal(body.code, 'unknown_export_format');
+  }
+
+  const started = await server.api(`/sessions/${session.sessionId}/start-questions`, { method: 'POST', token: session.adminToken });
+  assert.equal(started.status, 200);
+  const again = await server.api(`/sessions/${session.sessionId}/start-questions`, { method: 'POST', token: session.adminToken });
+  assert.equal(again.status, 409);
+  assert.equal(again.body.code, 'questions_already_started');
+});
+
+test('an admin secret guards session creation and the question bank', async (t) => {
+  const server = await startServer({ adminSecret: 's3cret' });
+  t.after(() => server.stop());
+
+  assert.equal((await server.api('/sessions', { method: 'POST', body: {} })).status, 401);
+  assert.equal((await server.api('/sessions', { method: 'POST', body: {}, token: 's3cret' })).status, 200);
+  assert.equal((await server.api('/question-sets', { method: 'POST', body: {} })).status, 401);
+  assert.equal((await server.api('/question-sets')).status, 200, 'reading stays open');
+});
+
+test('question sets can be saved, used for a session and deleted; the default set is read-only', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const channels = [
+    { id: 'trust', name: 'Trust', color: '#112233' },
+    { id: 'ideas', name: 'Ideas', color: '#445566' }
+  ];
+  const created = await server.api('/question-sets', {
+    method: 'POST',
+    body: {
+      name: 'Workshop',
+      channels,
+      questions: [
+        { text: 'Who would you trust with a secret?', channel: 'trust' },
+        { text: 'Who has the wildest ideas?', channel: 'ideas', mode: 'ranked', maxChoices: 2 }
+      ]
+    }
+  });
+  assert.equal(created.status, 201);
+
+  const session = await createSession(server, { questionSetId: created.body.id });
+  assert.equal(session.totalQuestions, 2);
+  assert.deepEqual(session.channels, channels);
+
+  const invalid = await server.api('/question-sets', { method: 'POST', body: { name: 'Bad', questions: [{ text: 'Who?', channel: 'nope' }] } });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, 'invalid_question_set');
+
+  assert.equal((await server.api('/question-sets/default', { method: 'DELETE' })).status, 403);
+  assert.equal((await server.api(`/question-sets/${created.body.id}`, { method: 'DELETE' })).status, 200);
+  assert.equal((await server.api(`/question-sets/${created.body.id}`)).status, 404);
+});
+
+test('the OpenAPI document is served and the unversioned alias still answers', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const session = await createSession(server);
+
+  const { status, body } = await server.api('/openapi.json');
+  assert.equal(status, 200);
+  assert.equal(body.openapi, '3.0.3');
+  assert.ok(body.paths['/sessions/{sessionId}/graph']);
+
+  const legacy = await fetch(`${server.url}/api/sessions/${session.sessionId}/status`);
+  assert.equal(legacy.status, 200);
+  assert.equal((await legacy.json()).currentQuestionIndex, -1);
+});
@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSessionState } = require('../server/session');
+const { addGraphNode } = require('../server/graph');
+const { createDisplayState, validateDisplayCommand, normalizeDisplayCommand, applyDisplayCommand } = require('../server/display');
+const { startServer, once, createSession, joinSession, connectAdmin } = require('./helpers');
+
+test('display commands are validated against the session and folded into the display state', () => {
+  const session = createSessionState('s1', []);
+  addGraphNode(session.graph, 'a', session.channels);
+
+  assert.equal(validateDisplayCommand({ type: 'focus-node', nodeId: 'a' }, session), null);
+  assert.equal(validateDisplayCommand({ type: 'focus-node', nodeId: null }, session), null);
+  assert.match(validateDisplayCommand({ type: 'focus-node', nodeId: 'b' }, session), /nodeId/);
+  assert.match(validateDisplayCommand({ type: 'toggle-channel', channel: 'mood', visible: false }, session), /channel/);
+  assert.match(validateDisplayCommand({ type: 'show-qr', visible: 'yes' }, session), /visible/);
+  assert.match(validateDisplayCommand({ type: 'replay', action: 'rewind' }, session), /action/);
+  assert.match(validateDisplayCommand({ type: 'reload' }, session), /type/);
+  assert.match(validateDisplayCommand(null, session), /object/);
+
+  let state = createDisplayState();
+  for (const command of [
+    { type: 'focus-node', nodeId: 'a', extra: 'dropped' },
+    { type: 'toggle-channel', channel: 'social', visible: false },
+    { type: 'toggle-channel', channel: 'creative', visible: false },
+    { type: 'toggle-channel', channel: 'social', visible: true },
+    { type: 'show-qr', visible: true },
+    { type: 'replay', action: 'start' }
+  ]) {
+    state = applyDisplayCommand(state, normalizeDisplayCommand(command));
+  }
+  assert.deepEqual(state, { focusedNodeId: 'a', hiddenChannels: ['creative'], qrVisible: true, qr: null });
+  assert.deepEqual(normalizeDisplayCommand({ type: 'focus-node', nodeId: 'a', extra: 'dropped' }), { type: 'focus-node', nodeId: 'a' });
+});
+
+test('the admin drives the projector display, which never receives names', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const session = await createSession(server, { questions: [{ text: 'Who explains things clearly?', channel: 'cognitive' }] });
+  assert.match(session.displayUrl, new RegExp(`/display/${session.sessionId}$`));
+  assert.equal((await fetch(session.displayUrl)).status, 200);
+
+  const refused = server.connect('/display', { auth: { sessionId: 'nope' } });
+  await once(refused, 'connect_error');
+
+  const admin = connectAdmin(server, session);
+  await once(admin, 'connect');
+  const ada = await joinSession(server, session.sessionId, 'Ada');
+  await joinSession(server, session.sessionId, 'Ben');
+
+  const display = server.connect('/display', { auth: { sessionId: session.sessionId } });
+  const initial = await once(display, 'display-state');
+  assert.deepEqual(initial, { focusedNodeId: null, hiddenChannels: [], qr: null });
+
+  const seen = [];
+  display.onAny((event, payload) => seen.push(JSON.stringify(payload)));
+
+  // The projector knows Ada's node by its public id, under the label the admin sees
+  const { body: adaNode } = await server.api(`/sessions/${session.sessionId}/node/${ada.participantId}`, { token: session.adminToken });
+  const { body: publicGraph } = await server.api(`/sessions/${session.sessionId}/graph`);
+  const adaPublicId = publicGraph.nodes.find(node => node.label === adaNode.label).id;
+
+  // Commands are relayed, invalid ones bounce back to the admin
+  let relayed = once(display, 'display-command');
+  admin.emit('display-command', { type: 'focus-node', nodeId: ada.participantId });
+  assert.deepEqual(await relayed, { type: 'focus-node', nodeId: adaPublicId });
+
+  const rejected = once(admin, 'display-command-rejected');
+  admin.emit('display-command', { type: 'toggle-channel', channel: 'mood', visible: false });
+  assert.equal((await rejected).type, 'toggle-channel');
+
+  relayed = once(display, 'display-command');
+  admin.emit('display-command', { type: 'show-qr', visible: true });
+  const { qr } = await relayed;
+  assert.match(qr.joinUrl, new RegExp(`/join/${session.sessionId}$`));
+  assert.match(qr.qrCode, /^data:image\/png;base64,/);
+
+  // The question and graph reach the projector without the answer options
+  const question = once(display, 'new-question');
+  const delta = once(display, 'graph-delta');
+  await server.api(`/sessions/${session.sessionId}/start-questions`, { method: 'POST', token: session.adminToken });
+  const asked = await question;
+  assert.equal(asked.question, 'Who explains things clearly?');
+  assert.equal(asked.participants, undefined);
+  ada.socket.emit('submit-response', { questionIndex: 0, targetParticipantIds: [] });
+  await delta;
+
+  // A reloaded projector picks up where the admin left it
+  const reloaded = server.connect('/display', { auth: { sessionId: session.sessionId } });
+  const [state, current] = await Promise.all([once(reloaded, 'display-state'), once(reloaded, 'new-question')]);
+  assert.equal(state.focusedNodeId, adaPublicId);
+  assert.deepEqual(state.qr, qr);
+  assert.equal(current.questionIndex, 0);
+
+  const { body: metrics } = await server.api(`/sessions/${session.sessionId}/metrics`, { token: session.adminToken });
+  assert.equal(metrics.sockets.displays, 2);
+  assert.ok(seen.length > 0);
+  assert.ok(seen.every(payload => !payload.includes('Ada') && !payload.includes('Ben')), 'the display never sees names');
+  assert.ok(seen.every(payload => !payload.includes(ada.participantId)), 'nor participant ids');
+});
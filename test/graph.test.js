@@ -0,0 +1,178 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSessionState } = require('../server/session');
+const {
+  addGraphNode,
+  addTie,
+  removeTie,
+  removeGraphNode,
+  sessionAtEpoch,
+  calculateEmbeddingVector,
+  generateNodeColor,
+  normalizeEmbedding,
+  embeddingToPercentages,
+  roundEmbedding,
+  buildNodePayload,
+  getNodeRole,
+  generateAnonymousLabel,
+  getNodeLabel,
+  publicNodeId
+} = require('../server/graph');
+
+// Session with the default channels and the given nodes
+function sessionWith(ids) {
+  const session = createSessionState('test', []);
+  ids.forEach(id => addGraphNode(session.graph, id, session.channels));
+  return session;
+}
+
+// Ties on the cognitive channel: [from, to, weight?]
+function tie(session, ...ties) {
+  for (const [from, to, weight = 1] of ties) {
+    addTie(session.graph, from, to, 'cognitive', 0, weight);
+  }
+}
+
+function mutual(session, a, b) {
+  tie(session, [a, b], [b, a]);
+}
+
+test('ties accumulate incoming weight per channel into the embedding', () => {
+  const session = sessionWith(['a', 'b', 'c']);
+  addTie(session.graph, 'a', 'b', 'cognitive', 0);
+  addTie(session.graph, 'c', 'b', 'cognitive', 0);
+  addTie(session.graph, 'a', 'b', 'social', 0, 0.5);
+
+  assert.deepEqual(calculateEmbeddingVector(session, 'b'), { cognitive: 2, creative: 0, technical: 0, social: 0.5 });
+  assert.deepEqual(calculateEmbeddingVector(session, 'a'), { cognitive: 0, creative: 0, technical: 0, social: 0 });
+  assert.equal(session.graph.edges.get('a-b-cognitive').weight, 1);
+  assert.equal(session.graph.edges.size, 3);
+});
+
+test('removing a tie reverses it and drops the edge once its weight is gone', () => {
+  const session = sessionWith(['a', 'b']);
+  addTie(session.graph, 'a', 'b', 'creative', 0, 1 / 3);
+  addTie(session.graph, 'a', 'b', 'creative', 0, 2 / 3);
+  const revision = session.graph.revision;
+
+  removeTie(session.graph, 'a', 'b', 'creative', 2 / 3);
+  assert.ok(Math.abs(session.graph.edges.get('a-b-creative').weight - 1 / 3) < 1e-9);
+
+  removeTie(session.graph, 'a', 'b', 'creative', 1 / 3);
+  assert.equal(session.graph.edges.has('a-b-creative'), false);
+  assert.equal(session.graph.nodes.get('a').connections.has('b'), false);
+  assert.ok(Math.abs(calculateEmbeddingVector(session, 'b').creative) < 1e-9);
+  assert.equal(session.graph.revision, revision + 2);
+});
+
+test('removing a node takes every tie it sent or received with it', () => {
+  const session = sessionWith(['a', 'b', 'c']);
+  tie(session, ['a', 'b'], ['b', 'a'], ['c', 'b'], ['b', 'c'], ['a', 'c']);
+
+  const removed = removeGraphNode(session.graph, 'b');
+  assert.deepEqual(removed.sort(), ['a-b-cognitive', 'b-a-cognitive', 'b-c-cognitive', 'c-b-cognitive']);
+  assert.deepEqual(Array.from(session.graph.nodes.keys()), ['a', 'c']);
+  assert.deepEqual(Array.from(session.graph.edges.keys()), ['a-c-cognitive']);
+  assert.equal(session.graph.nodes.get('a').connections.has('b'), false);
+  assert.equal(calculateEmbeddingVector(session, 'a').cognitive, 0);
+  assert.equal(calculateEmbeddingVector(session, 'c').cognitive, 1);
+});
+
+test('embeddings are reported raw, as shares and as whole percentages', () => {
+  const embedding = { cognitive: 2, creative: 1, technical: 0, social: 1 / 3 };
+
+  assert.deepEqual(roundEmbedding(embedding), { cognitive: 2, creative: 1, technical: 0, social: 0.3333 });
+  assert.deepEqual(normalizeEmbedding(embedding), { cognitive: 0.6, creative: 0.3, technical: 0, social: 0.1 });
+  assert.deepEqual(embeddingToPercentages(embedding), { cognitive: 60, creative: 30, technical: 0, social: 10 });
+
+  const isolated = { cognitive: 0, creative: 0, technical: 0, social: 0 };
+  assert.deepEqual(normalizeEmbedding(isolated), isolated);
+  assert.deepEqual(embeddingToPercentages(isolated), isolated);
+});
+
+test('node color is gray without ties and leans towards the dominant channel', () => {
+  const session = sessionWith([]);
+
+  assert.equal(generateNodeColor(session, { cognitive: 0, creative: 0, technical: 0, social: 0 }), '#888888');
+  // Pure cognitive (#3A7BFF) at the 80% cap for the dominant channel
+  assert.equal(generateNodeColor(session, { cognitive: 3, creative: 0, technical: 0, social: 0 }), 'rgb(46, 98, 204)');
+
+  const [r, g, b] = generateNodeColor(session, { cognitive: 1, creative: 0, technical: 3, social: 0 }).match(/\d+/g).map(Number);
+  assert.ok(g > r && g > b, 'technical (green) dominates');
+});
+
+test('roles: initiator, amplifier and stabilizer', () => {
+  const session = sessionWith(['a', 'b', 'c', 'd']);
+  tie(session, ['a', 'b'], ['a', 'c'], ['a', 'd']);
+
+  assert.equal(getNodeRole(session, 'a'), 'Initiator');
+  assert.equal(getNodeRole(session, 'b'), 'Amplifier');
+  assert.equal(getNodeRole(sessionWith(['x']), 'x'), 'Stabilizer');
+  assert.equal(getNodeRole(session, 'unknown'), 'Stabilizer');
+});
+
+test('roles: connector in a dense clique', () => {
+  const ids = ['a', 'b', 'c', 'd', 'e'];
+  const session = sessionWith(ids);
+  ids.forEach((a, i) => ids.slice(i + 1).forEach(b => mutual(session, a, b)));
+
+  for (const id of ids) {
+    assert.equal(getNodeRole(session, id), 'Connector');
+  }
+});
+
+test('roles: bridge between two communities', () => {
+  const session = sessionWith(['a1', 'a2', 'a3', 'x', 'b1', 'b2', 'b3']);
+  mutual(session, 'a1', 'a2');
+  mutual(session, 'a2', 'a3');
+  mutual(session, 'a1', 'a3');
+  mutual(session, 'b1', 'b2');
+  mutual(session, 'b2', 'b3');
+  mutual(session, 'b1', 'b3');
+  mutual(session, 'a1', 'x');
+  mutual(session, 'x', 'b1');
+
+  assert.equal(getNodeRole(session, 'x'), 'Bridge');
+  assert.equal(getNodeRole(session, 'a2'), 'Stabilizer');
+
+  const payload = buildNodePayload(session, 'x');
+  assert.equal(payload.role, 'Bridge');
+  assert.match(payload.description, /structural bridge/);
+});
+
+test('anonymous labels are stable pseudonyms of the public id; identity removal switches to node numbers', () => {
+  const label = generateAnonymousLabel('3f1c9a52-0000-4000-8000-000000000000');
+  assert.match(label, /^(Alpha|Beta|Gamma|Delta|Sigma|Theta|Lambda|Omega)-\d{2}$/);
+  assert.equal(generateAnonymousLabel('3f1c9a52-0000-4000-8000-000000000000'), label);
+
+  const session = sessionWith(['p1', 'p2']);
+  assert.match(publicNodeId(session, 'p2'), /^[0-9a-f]{16}$/);
+  assert.equal(getNodeLabel(session, 'p2'), generateAnonymousLabel(publicNodeId(session, 'p2')));
+
+  // Numbered in public id order, not join order
+  session.identityDeleted = true;
+  const [first, second] = ['p1', 'p2'].sort((a, b) => (publicNodeId(session, a) < publicNodeId(session, b) ? -1 : 1));
+  assert.equal(getNodeLabel(session, first), 'Node-01');
+  assert.equal(getNodeLabel(session, second), 'Node-02');
+});
+
+test('epoch replay rebuilds the graph as it stood, including retractions', () => {
+  const session = sessionWith([]);
+  const log = (event) => session.history.push(event);
+  ['a', 'b', 'c'].forEach(id => {
+    addGraphNode(session.graph, id, session.channels);
+    log({ type: 'join', epoch: 0, timestamp: 0, participantId: id });
+  });
+  log({ type: 'response', epoch: 1, timestamp: 1, from: 'a', to: 'b', channel: 'cognitive', weight: 1 });
+  log({ type: 'retract', epoch: 2, timestamp: 2, from: 'a', to: 'b', channel: 'cognitive', weight: 1 });
+  log({ type: 'response', epoch: 2, timestamp: 2, from: 'a', to: 'c', channel: 'cognitive', weight: 1 });
+
+  const first = sessionAtEpoch(session, 1);
+  assert.deepEqual(Array.from(first.graph.edges.keys()), ['a-b-cognitive']);
+  assert.equal(calculateEmbeddingVector(first, 'b').cognitive, 1);
+
+  const second = sessionAtEpoch(session, 2);
+  assert.deepEqual(Array.from(second.graph.edges.keys()), ['a-c-cognitive']);
+  assert.equal(calculateEmbeddingVector(second, 'b').cognitive, 0);
+  assert.equal(session.graph.edges.size, 0, 'the live graph is untouched');
+});
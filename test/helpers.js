@@ -0,0 +1,88 @@
+// Shared fixtures: an app on a random local port, REST calls and Socket.IO clients.
+// Everything runs in memory; no network access beyond 127.0.0.1 is needed.
+
+const { io } = require('socket.io-client');
+const { createApp } = require('../server/app');
+const { createStore } = require('../server/storage');
+const { createLogger } = require('../server/logger');
+
+const quietLogger = createLogger({ write: () => {} });
+
+// No LAN interfaces unless a test brings some, so join links stay on 127.0.0.1
+const noInterfaces = () => ({});
+
+// Listening app; stop() closes every client it handed out and the server
+async function startServer(options = {}) {
+  const instance = createApp({ store: createStore('memory'), logger: quietLogger, networkInterfaces: noInterfaces, ...options });
+  await new Promise(resolve => instance.server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${instance.server.address().port}`;
+  const sockets = [];
+
+  return {
+    ...instance,
+    url,
+
+    // JSON request against /api/v1; resolves with { status, body }
+    async api(path, { method = 'GET', body, token } = {}) {
+      const response = await fetch(`${url}/api/v1${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    },
+
+    connect(namespace = '', options = {}) {
+      const socket = io(`${url}${namespace}`, { forceNew: true, transports: ['websocket'], ...options });
+      sockets.push(socket);
+      return socket;
+    },
+
+    async stop() {
+      sockets.forEach(socket => socket.close());
+      await instance.close();
+    }
+  };
+}
+
+// Next `event` on a socket, or a rejection after timeoutMs
+function once(socket, event, timeoutMs = 3000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeoutMs);
+    socket.once(event, (payload) => {
+      clearTimeout(timer);
+      resolve(payload);
+    });
+  });
+}
+
+// Create a session and return its creation payload
+async function createSession(server, body = {}) {
+  const { status, body: session } = await server.api('/sessions', { method: 'POST', body });
+  if (status !== 200) throw new Error(`Session creation failed: ${JSON.stringify(session)}`);
+  return session;
+}
+
+// Join as a participant; resolves with { socket, participantId, resumeToken }
+async function joinSession(server, sessionId, name) {
+  const socket = server.connect();
+  const joined = once(socket, 'joined');
+  socket.emit('join-session', { sessionId, name });
+  const { participantId, resumeToken } = await joined;
+  return { socket, participantId, resumeToken };
+}
+
+function connectAdmin(server, session) {
+  return server.connect('/admin', { auth: { sessionId: session.sessionId, token: session.adminToken } });
+}
+
+module.exports = {
+  startServer,
+  once,
+  createSession,
+  joinSession,
+  connectAdmin
+};
@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SUPPORTED_LOCALES, getBundle, format } = require('../server/i18n');
+const { startServer, once, createSession, joinSession } = require('./helpers');
+
+const en = getBundle('en');
+const he = getBundle('he');
+const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort();
+
+test('every locale bundle has the English keys, question counts and placeholders', () => {
+  for (const locale of SUPPORTED_LOCALES) {
+    const bundle = getBundle(locale);
+    assert.ok(['ltr', 'rtl'].includes(bundle.dir), locale);
+
+    for (const section of ['channels', 'channelLabels', 'roles', 'descriptions', 'ui']) {
+      assert.deepEqual(Object.keys(bundle[section]).sort(), Object.keys(en[section]).sort(), `${locale}.${section}`);
+      for (const [key, text] of Object.entries(en[section])) {
+        assert.deepEqual(placeholders(bundle[section][key]), placeholders(text), `${locale}.${section}.${key}`);
+      }
+    }
+    for (const [channel, texts] of Object.entries(en.questions)) {
+      assert.equal(bundle.questions[channel].length, texts.length, `${locale}.questions.${channel}`);
+    }
+  }
+  assert.equal(getBundle('fr'), en, 'unknown locales read as English');
+});
+
+test('a Hebrew session asks the built-in questions and names its channels in Hebrew', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const { body: locales } = await server.api('/locales');
+  assert.deepEqual(locales.map(locale => locale.id), ['en', 'he', 'ar']);
+  assert.equal(locales.find(locale => locale.id === 'he').dir, 'rtl');
+  const { body: bundle } = await server.api('/locales/he');
+  assert.equal(bundle.id, 'he');
+  assert.equal(bundle.ui.join, he.ui.join);
+  assert.equal((await server.api('/locales/fr')).body.code, 'locale_not_found');
+
+  const invalid = await server.api('/sessions', { method: 'POST', body: { locale: 'fr' } });
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.body.error, /locale/);
+
+  const session = await createSession(server, { locale: 'he', perChannel: 1 });
+  assert.equal(session.locale, 'he');
+  assert.deepEqual(session.channels.map(channel => channel.name), Object.values(he.channels));
+  assert.equal((await server.api(`/sessions/${session.sessionId}/status`)).body.locale, 'he');
+
+  const ada = await joinSession(server, session.sessionId, 'Ada');
+  const question = once(ada.socket, 'new-question');
+  await server.api(`/sessions/${session.sessionId}/start-questions`, { method: 'POST', token: session.adminToken });
+  const { question: text, key, channel } = await question;
+  assert.match(key, new RegExp(`^${channel}-[1-5]$`));
+  assert.equal(text, he.questions[channel][Number(key.split('-')[1]) - 1]);
+});
+
+test('descriptions follow the session locale and each phone reads its summary in its own language', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const session = await createSession(server, {
+    locale: 'he',
+    questions: [{ text: 'Who?', channel: 'cognitive' }],
+    advancePolicy: { mode: 'all', questionDurationMs: 0, advanceDelayMs: 0 }
+  });
+  const ada = await joinSession(server, session.sessionId, 'Ada');
+  const ben = server.connect();
+  const benJoined = once(ben, 'joined');
+  ben.emit('join-session', { sessionId: session.sessionId, name: 'Ben', locale: 'en' });
+  const { participantId: benId } = await benJoined;
+
+  const asked = once(ada.socket, 'new-question');
+  await server.api(`/sessions/${session.sessionId}/start-questions`, { method: 'POST', token: session.adminToken });
+  await asked;
+
+  // Ada chooses Ben; the session completes once Ben skips
+  const summaries = [once(ada.socket, 'personal-summary'), once(ben, 'personal-summary')];
+  ada.socket.emit('submit-response', { questionIndex: 0, targetParticipantIds: [benId] });
+  ben.emit('submit-response', { questionIndex: 0, targetParticipantIds: [] });
+  const [adaSummary, benSummary] = await Promise.all(summaries);
+
+  assert.equal(adaSummary.channels[0].name, he.channels.cognitive);
+  assert.ok(adaSummary.description.endsWith(he.descriptions.selectiveVolume));
+  assert.equal(benSummary.channels[0].name, en.channels.cognitive);
+  assert.ok(benSummary.description.startsWith(format(en.descriptions.dominant, { channel: en.channels.cognitive.toLowerCase() })));
+
+  const { body: graph } = await server.api(`/sessions/${session.sessionId}/graph`, { token: session.adminToken });
+  const benNode = graph.nodes.find(node => node.id === benId);
+  assert.ok(benNode.description.startsWith(format(he.descriptions.dominant, { channel: he.channels.cognitive.toLowerCase() })));
+  assert.ok(benNode.description.endsWith(he.descriptions.selectiveVolume));
+
+  // Switching the phone to the session's language sends the summary again in it
+  const resent = once(ben, 'personal-summary');
+  ben.emit('set-locale', { locale: 'he' });
+  assert.equal((await resent).description, benNode.description);
+});
@@ -0,0 +1,298 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, once, createSession, joinSession, connectAdmin } = require('./helpers');
+
+// Two questions, advance as soon as everyone has answered, no deadline
+const setup = {
+  questions: [
+    { text: 'Who explains things clearly?', channel: 'cognitive' },
+    { text: 'Who keeps the team calm?', channel: 'social' }
+  ],
+  advancePolicy: { mode: 'all', questionDurationMs: 0, advanceDelayMs: 0 }
+};
+
+async function answerAll(participants, questionIndex, picks) {
+  await Promise.all(participants.map((participant, i) => {
+    const submitted = once(participant.socket, 'response-submitted');
+    participant.socket.emit('submit-response', { questionIndex, targetParticipantIds: picks[i] });
+    return submitted;
+  }));
+}
+
+test('create, join, answer, auto-advance and end', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const session = await createSession(server, setup);
+  const admin = connectAdmin(server, session);
+  await once(admin, 'connect');
+
+  const people = [];
+  for (const name of ['Ada', 'Ben', 'Cy']) {
+    people.push(await joinSession(server, session.sessionId, name));
+  }
+  const [ada, ben, cy] = people;
+
+  // First question reaches every phone with everyone as an option
+  let questions = people.map(p => once(p.socket, 'new-question'));
+  const started = await server.api(`/sessions/${session.sessionId}/start-questions`, { method: 'POST', token: session.adminToken });
+  assert.equal(started.status, 200);
+  const [first] = await Promise.all(questions);
+  assert.equal(first.questionIndex, 0);
+  assert.deepEqual(first.participants.map(p => p.name).sort(), ['Ada', 'Ben', 'Cy']);
+
+  // Everyone answers, so the 'all' policy opens the second question by itself
+  questions = people.map(p => once(p.socket, 'new-question'));
+  const delta = once(admin, 'graph-delta');
+  await answerAll(people, 0, [[ben.participantId], [cy.participantId], [ben.participantId]]);
+  const [second] = await Promise.all(questions);
+  assert.equal(second.questionIndex, 1);
+  assert.notEqual(second.channel, first.channel);
+  assert.ok((await delta).edges.length > 0);
+
+  const { body: graph } = await server.api(`/sessions/${session.sessionId}/graph`, { token: session.adminToken });
+  const benNode = graph.nodes.find(node => node.id === ben.participantId);
+  assert.equal(benNode.rawEmbedding[first.channel], 2);
+  assert.equal(benNode.normalizedEmbedding[first.channel], 1);
+  assert.equal(benNode.role, 'Amplifier');
+  assert.ok(!JSON.stringify(graph).includes('Ada'), 'the graph never carries names');
+
+  // Last question: the session completes and each phone gets its own node
+  const complete = people.map(p => once(p.socket, 'session-complete'));
+  const summaries = people.map(p => once(p.socket, 'personal-summary'));
+  await answerAll(people, 1, [[cy.participantId], [ada.participantId], []]);
+  await Promise.all(complete);
+
+  const { body: finalGraph } = await server.api(`/sessions/${session.sessionId}/graph`, { token: session.adminToken });
+  for (const [i, summary] of (await Promise.all(summaries)).entries()) {
+    const node = finalGraph.nodes.find(n => n.id === people[i].participantId);
+    assert.equal(summary.label, node.label);
+    assert.deepEqual(summary.embedding, node.embedding);
+    assert.equal(summary.role, node.role);
+    assert.equal(summary.description, node.description);
+  }
+
+  const { body: timeline } = await server.api(`/sessions/${session.sessionId}/epochs`);
+  assert.equal(timeline.currentEpoch, 2);
+  assert.deepEqual(timeline.epochs.map(epoch => epoch.responses), [0, 3, 2]);
+
+  const { body: metrics } = await server.api(`/sessions/${session.sessionId}/metrics`, { token: session.adminToken });
+  assert.deepEqual(metrics.responsesPerQuestion.map(q => q.responses), [3, 3]);
+  assert.equal(metrics.participants.connected, 3);
+
+  // Ending notifies the phones and forgets the session
+  const ended = people.map(p => once(p.socket, 'session-ended'));
+  const end = await server.api(`/sessions/${session.sessionId}/end`, { method: 'POST', token: session.adminToken });
+  assert.equal(end.status, 200);
+  await Promise.all(ended);
+  assert.equal((await server.api(`/sessions/${session.sessionId}/status`)).status, 404);
+});
+
+test('invalid answers are rejected and a resubmission replaces the earlier answer', async (t) => {
+  const server = await startServer({ responseRateLimit: 10 }); // seven submissions from one socket
+  t.after(() => server.stop());
+
+  const session = await createSession(server, { ...setup, allowSelfVote: false });
+  const ada = await joinSession(server, session.sessionId, 'Ada');
+  const ben = await joinSession(server, session.sessionId, 'Ben');
+  const cy = await joinSession(server, session.sessionId, 'Cy');
+
+  const expectRejection = async (payload) => {
+    const rejected = once(ada.socket, 'response-rejected');
+    ada.socket.emit('submit-response', payload);
+    return (await rejected).reason;
+  };
+
+  // Before the first question, index -1 matches the current index but names no question
+  assert.equal(await expectRejection({ questionIndex: -1, targetParticipantIds: [ben.participantId] }), 'no-open-question');
+
+  const question = once(ada.socket, 'new-question');
+  await server.api(`/sessions/${session.sessionId}/start-questions`, { method: 'POST', token: session.adminToken });
+  const { questionIndex, allowSelfVote, participants } = await question;
+  assert.equal(allowSelfVote, false);
+  assert.equal(participants.length, 3);
+
+  assert.equal(await expectRejection({ questionIndex, targetParticipantIds: [ada.participantId] }), 'self-vote');
+  assert.equal(await expectRejection({ questionIndex, targetParticipantIds: ['someone-else'] }), 'unknown-target');
+  assert.equal(await expectRejection({ questionIndex, targetParticipantIds: [ben.participantId, cy.participantId] }), 'too-many-targets');
+  assert.equal(await expectRejection({ questionIndex: questionIndex + 1, targetParticipantIds: [ben.participantId] }), 'stale-question');
+
+  // Changing one's mind moves the tie instead of adding a second one
+  for (const target of [ben, cy]) {
+    const submitted = once(ada.socket, 'response-submitted');
+    ada.socket.emit('submit-response', { questionIndex, targetParticipantIds: [target.participantId] });
+    await submitted;
+  }
+
+  const { body: graph } = await server.api(`/sessions/${session.sessionId}/graph`, { token: session.adminToken });
+  assert.deepEqual(graph.edges.map(edge => [edge.source, edge.target, edge.weight]), [[ada.participantId, cy.participantId, 1]]);
+});
+
+test('a returning device resumes its participant with the resume token', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const session = await createSession(server, setup);
+  const ada = await joinSession(server, session.sessionId, 'Ada');
+  await joinSession(server, session.sessionId, 'Ben');
+  ada.socket.close();
+
+  const phone = server.connect();
+  const forged = once(phone, 'rejoin-error');
+  phone.emit('rejoin-session', { sessionId: session.sessionId, participantId: ada.participantId, resumeToken: 'guess' });
+  await forged;
+
+  const rejoined = once(phone, 'rejoined');
+  phone.emit('rejoin-session', { sessionId: session.sessionId, participantId: ada.participantId, resumeToken: ada.resumeToken });
+  assert.equal((await rejoined).participantId, ada.participantId);
+
+  const { body: status } = await server.api(`/sessions/${session.sessionId}/status`);
+  assert.equal(status.participantCount, 2);
+});
+
+test('personal summaries are replayed on rejoin and can be turned off', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const oneQuestion = { ...setup, questions: setup.questions.slice(0, 1) };
+
+  // Disabled: the session completes without a summary
+  const quiet = await createSession(server, { ...oneQuestion, personalSummary: false });
+  assert.equal(quiet.personalSummary, false);
+  const lone = await joinSession(server, quiet.sessionId, 'Ada');
+  let received = false;
+  lone.socket.on('personal-summary', () => { received = true; });
+  const asked = once(lone.socket, 'new-question');
+  await server.api(`/sessions/${quiet.sessionId}/start-questions`, { method: 'POST', token: quiet.adminToken });
+  await asked;
+  const completed = once(lone.socket, 'session-complete');
+  lone.socket.emit('submit-response', { questionIndex: 0, targetParticipantIds: [] });
+  await completed;
+  assert.equal((await server.api(`/sessions/${quiet.sessionId}/status`)).body.completed, true);
+  assert.equal(received, false);
+
+  // Enabled: a phone that was away at the end gets the end screen and its summary on rejoin
+  const session = await createSession(server, oneQuestion);
+  const ada = await joinSession(server, session.sessionId, 'Ada');
+  const ben = await joinSession(server, session.sessionId, 'Ben');
+  const question = once(ben.socket, 'new-question');
+  await server.api(`/sessions/${session.sessionId}/start-questions`, { method: 'POST', token: session.adminToken });
+  await question;
+  const skipped = once(ada.socket, 'response-submitted');
+  ada.socket.emit('submit-response', { questionIndex: 0, targetParticipantIds: [] });
+  await skipped;
+  ada.socket.close();
+
+  const benSummary = once(ben.socket, 'personal-summary');
+  ben.socket.emit('submit-response', { questionIndex: 0, targetParticipantIds: [ada.participantId] });
+  assert.equal((await benSummary).role, 'Initiator');
+
+  const phone = server.connect();
+  const replayed = once(phone, 'session-complete');
+  const summary = once(phone, 'personal-summary');
+  phone.emit('rejoin-session', { sessionId: session.sessionId, participantId: ada.participantId, resumeToken: ada.resumeToken });
+  await replayed;
+  assert.equal((await summary).role, 'Amplifier');
+  assert.equal((await summary).embedding.cognitive, 100);
+});
+
+test('a completed session does not complete again when someone leaves or the admin resumes', async (t) => {
+  const server = await startServer({ reconnectGraceMs: 20 });
+  t.after(() => server.stop());
+
+  const session = await createSession(server, { ...setup, questions: setup.questions.slice(0, 1) });
+  const admin = connectAdmin(server, session);
+  await once(admin, 'connect');
+  const ada = await joinSession(server, session.sessionId, 'Ada');
+  const ben = await joinSession(server, session.sessionId, 'Ben');
+  let completions = 0;
+  ben.socket.on('session-complete', () => { completions++; });
+
+  const question = once(ben.socket, 'new-question');
+  await server.api(`/sessions/${session.sessionId}/start-questions`, { method: 'POST', token: session.adminToken });
+  await question;
+  const summary = once(ben.socket, 'personal-summary');
+  await answerAll([ada, ben], 0, [[], []]);
+  await summary;
+
+  // Ada's grace period runs out, then the admin pauses and resumes
+  const left = once(admin, 'participant-left');
+  ada.socket.close();
+  await left;
+  for (const pause of [true, false]) {
+    await server.api(`/sessions/${session.sessionId}/pause-resume`, { method: 'POST', body: { pause }, token: session.adminToken });
+    assert.equal((await server.api(`/sessions/${session.sessionId}/status`)).body.paused, pause);
+  }
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(completions, 1);
+});
+
+test('starting a paused session opens the first question with its clock stopped', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const session = await createSession(server, { ...setup, advancePolicy: { ...setup.advancePolicy, questionDurationMs: 5000 } });
+  const sessionPath = `/sessions/${session.sessionId}`;
+  const ada = await joinSession(server, session.sessionId, 'Ada');
+  await server.api(`${sessionPath}/pause-resume`, { method: 'POST', body: { pause: true }, token: session.adminToken });
+
+  const question = once(ada.socket, 'new-question');
+  const started = await server.api(`${sessionPath}/start-questions`, { method: 'POST', token: session.adminToken });
+  assert.equal(started.status, 200);
+  const opened = await question;
+  assert.equal(opened.questionIndex, 0);
+  assert.equal(opened.paused, true);
+  assert.equal(opened.deadline, null);
+  assert.equal(opened.remainingMs, 5000);
+
+  const timer = once(ada.socket, 'question-timer');
+  await server.api(`${sessionPath}/pause-resume`, { method: 'POST', body: { pause: false }, token: session.adminToken });
+  const resumed = await timer;
+  assert.equal(resumed.paused, false);
+  assert.ok(resumed.deadline > Date.now() && resumed.remainingMs <= 5000);
+});
+
+test('removing identities re-keys every id that was ever shown next to a name', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const session = await createSession(server, setup);
+  const sessionPath = `/sessions/${session.sessionId}`;
+  const display = server.connect('/display', { auth: { sessionId: session.sessionId } });
+  await once(display, 'display-state');
+  const people = [];
+  for (const name of ['Ada', 'Ben', 'Cy']) {
+    people.push(await joinSession(server, session.sessionId, name));
+  }
+  const [ada] = people;
+  const question = once(ada.socket, 'new-question');
+  await server.api(`${sessionPath}/start-questions`, { method: 'POST', token: session.adminToken });
+  const named = (await question).participants;
+  const before = (await server.api(`${sessionPath}/graph`)).body;
+
+  const options = once(ada.socket, 'participants-updated');
+  const refetch = once(display, 'graph-updated');
+  await server.api(`${sessionPath}/delete-identities`, { method: 'POST', token: session.adminToken });
+  const anonymous = (await options).participants;
+  await refetch;
+  const after = (await server.api(`${sessionPath}/graph`)).body;
+
+  // Neither the named options nor the graph published next to them lead into the new graph
+  const text = JSON.stringify([after, anonymous]);
+  for (const id of [...named.map(option => option.id), ...before.nodes.map(node => node.id)]) {
+    assert.ok(!text.includes(id), `${id} is gone from the graph and the options`);
+  }
+  assert.deepEqual(anonymous.map(option => option.name), after.nodes.map(node => node.label).sort());
+  assert.deepEqual(anonymous.map(option => option.name), ['Node-01', 'Node-02', 'Node-03']);
+  assert.equal(anonymous.filter(option => option.self).length, 1, 'each phone still finds itself');
+
+  // Answers name the new options; the ids from before are unknown now
+  const rejected = once(ada.socket, 'response-rejected');
+  ada.socket.emit('submit-response', { questionIndex: 0, targetParticipantIds: [named[1].id] });
+  assert.equal((await rejected).reason, 'unknown-target');
+  const submitted = once(ada.socket, 'response-submitted');
+  ada.socket.emit('submit-response', { questionIndex: 0, targetParticipantIds: [anonymous.find(option => !option.self).id] });
+  await submitted;
+  const { body: exact } = await server.api(`${sessionPath}/graph`, { token: session.adminToken });
+  assert.equal(exact.edges.length, 1);
+  assert.equal(exact.edges[0].source, ada.participantId);
+});
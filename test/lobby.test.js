@@ -0,0 +1,175 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSessionState, forgetParticipant } = require('../server/session');
+const { addGraphNode, addTie } = require('../server/graph');
+const { validateCapacity, normalizeName, checkJoin } = require('../server/lobby');
+const { startServer, once, createSession, joinSession, connectAdmin } = require('./helpers');
+
+// Session whose participants already have nodes, as after join-session
+function sessionWith(names) {
+  const session = createSessionState('test', []);
+  for (const name of names) {
+    const id = name.toLowerCase();
+    session.participants.set(id, { id, name, socketId: null, resumeToken: 'r', connected: true });
+    addGraphNode(session.graph, id, session.channels);
+    session.history.push({ type: 'join', epoch: 0, timestamp: 0, participantId: id });
+  }
+  return session;
+}
+
+// Join attempt that is expected to fail; resolves with the join-error payload
+async function refusedJoin(server, sessionId, name) {
+  const socket = server.connect();
+  const refused = once(socket, 'join-error');
+  socket.emit('join-session', { sessionId, name });
+  return refused;
+}
+
+test('join rules: capacity, lock, names and duplicates', () => {
+  assert.equal(validateCapacity(20), null);
+  assert.match(validateCapacity(0), /capacity/);
+  assert.match(validateCapacity(101), /capacity/);
+  assert.match(validateCapacity('5'), /capacity/);
+
+  assert.equal(normalizeName('  Ada   Lovelace '), 'Ada Lovelace');
+  assert.equal(normalizeName('   '), '');
+  assert.equal(normalizeName('x'.repeat(21)), '');
+  assert.equal(normalizeName(42), '');
+
+  const session = sessionWith(['Ada', 'Ben']);
+  assert.equal(checkJoin(session, 'Cy'), null);
+  assert.equal(checkJoin(session, 'ADA').reason, 'duplicate-name');
+  assert.equal(checkJoin(session, '').reason, 'invalid-name');
+  session.capacity = 2;
+  assert.equal(checkJoin(session, 'Cy').reason, 'full');
+  session.joinLocked = true;
+  assert.equal(checkJoin(session, 'Cy').reason, 'locked');
+  session.identityDeleted = true;
+  assert.equal(checkJoin(session, 'Cy').reason, 'identity-deleted');
+});
+
+test('forgetting a participant erases their node, ties, answers and log entries', () => {
+  const session = sessionWith(['Ada', 'Ben', 'Cy']);
+  const answer = (from, to) => {
+    addTie(session.graph, from, to, 'cognitive', 0);
+    session.history.push({ type: 'response', epoch: 1, timestamp: 0, from, to, channel: 'cognitive' });
+  };
+  answer('ada', 'cy');
+  answer('cy', 'ben');
+  answer('ada', 'ben');
+  session.responses.set(0, new Map([
+    ['ada', { targetParticipantIds: ['cy'], channel: 'cognitive', timestamp: 0 }],
+    ['cy', { targetParticipantIds: ['ben'], channel: 'cognitive', timestamp: 0 }]
+  ]));
+
+  assert.deepEqual(forgetParticipant(session, 'cy').sort(), ['ada-cy-cognitive', 'cy-ben-cognitive']);
+  assert.equal(session.participants.has('cy'), false);
+  assert.deepEqual(Array.from(session.responses.get(0).keys()), ['ada']);
+  assert.ok(session.history.every(event => event.participantId !== 'cy' && event.from !== 'cy' && event.to !== 'cy'));
+  assert.equal(session.history.length, 3);
+  assert.equal(session.graph.nodes.get('ben').embedding.cognitive, 1);
+});
+
+test('the admin manages the lobby: capacity, duplicates, lock on start and removal', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const session = await createSession(server, {
+    questions: [{ text: 'Who explains things clearly?', channel: 'cognitive' }],
+    advancePolicy: { mode: 'all', questionDurationMs: 0, advanceDelayMs: 0 },
+    capacity: 2,
+    lockOnStart: true
+  });
+  assert.equal(session.capacity, 2);
+  const sessionPath = `/sessions/${session.sessionId}`;
+  const admin = connectAdmin(server, session);
+  await once(admin, 'connect');
+
+  // Names are unique ignoring case and spacing; the third person finds the session full
+  const joined = once(admin, 'participant-joined');
+  const ada = await joinSession(server, session.sessionId, 'Ada');
+  const { participant } = await joined;
+  assert.deepEqual([participant.id, participant.name, participant.connected], [ada.participantId, 'Ada', true]);
+  assert.match(participant.label, /^[A-Z][a-z]+-\d{2}$/);
+  assert.equal((await refusedJoin(server, session.sessionId, '  ada ')).reason, 'duplicate-name');
+  const ben = await joinSession(server, session.sessionId, 'Ben');
+  assert.equal((await refusedJoin(server, session.sessionId, 'Cy')).reason, 'full');
+
+  const { body: lobby } = await server.api(`${sessionPath}/participants`, { token: session.adminToken });
+  assert.deepEqual(lobby.participants.map(p => p.name), ['Ada', 'Ben']);
+  assert.equal((await server.api(`${sessionPath}/participants`)).status, 401);
+  const { body: status } = await server.api(`${sessionPath}/status`);
+  assert.ok(!JSON.stringify(status).includes('Ada'), 'names stay off the public routes');
+
+  assert.equal((await server.api(`${sessionPath}/lobby`, { method: 'POST', token: session.adminToken, body: { capacity: 1 } })).status, 409);
+  const updated = once(admin, 'lobby-updated');
+  await server.api(`${sessionPath}/lobby`, { method: 'POST', token: session.adminToken, body: { capacity: 3 } });
+  assert.equal((await updated).capacity, 3);
+
+  // Starting closes the lobby; reopening it lets a late participant into the open question
+  const question = once(ada.socket, 'new-question');
+  await server.api(`${sessionPath}/start-questions`, { method: 'POST', token: session.adminToken });
+  assert.equal((await question).participants.length, 2);
+  assert.equal((await server.api(`${sessionPath}/status`)).body.locked, true);
+  assert.equal((await refusedJoin(server, session.sessionId, 'Cy')).reason, 'locked');
+
+  await server.api(`${sessionPath}/lobby`, { method: 'POST', token: session.adminToken, body: { locked: false } });
+  let options = once(ada.socket, 'participants-updated');
+  const cy = await joinSession(server, session.sessionId, 'Cy');
+  assert.deepEqual((await options).participants.map(p => p.name), ['Ada', 'Ben', 'Cy']);
+
+  let delta = once(admin, 'graph-delta');
+  ada.socket.emit('submit-response', { questionIndex: 0, targetParticipantIds: [cy.participantId] });
+  await delta;
+
+  // Removing Cy takes the node and Ada's tie to it; the phone is told and cannot resume
+  const removed = once(cy.socket, 'removed-from-session');
+  const left = once(admin, 'participant-left');
+  options = once(ben.socket, 'participants-updated');
+  delta = once(admin, 'graph-delta');
+  const kick = await server.api(`${sessionPath}/participants/${cy.participantId}`, { method: 'DELETE', token: session.adminToken });
+  assert.equal(kick.status, 200);
+  assert.equal(kick.body.participantCount, 2);
+  await removed;
+  assert.deepEqual(await left, { participantId: cy.participantId, reason: 'removed', participantCount: 2, capacity: 3 });
+  assert.deepEqual((await options).participants.map(p => p.name), ['Ada', 'Ben']);
+  const { removedNodes, removedEdges } = await delta;
+  assert.deepEqual(removedNodes, [cy.participantId]);
+  assert.equal(removedEdges.length, 1);
+
+  const { body: graph } = await server.api(`${sessionPath}/graph`, { token: session.adminToken });
+  assert.deepEqual(graph.nodes.map(node => node.id).sort(), [ada.participantId, ben.participantId].sort());
+  assert.deepEqual(graph.edges, []);
+  const { body: replay } = await server.api(`${sessionPath}/epochs/1/graph`);
+  assert.equal(replay.nodes.length, 2);
+  assert.equal((await server.api(`${sessionPath}/participants/${cy.participantId}`, { method: 'DELETE', token: session.adminToken })).status, 404);
+
+  const phone = server.connect();
+  const rejoin = once(phone, 'rejoin-error');
+  phone.emit('rejoin-session', { sessionId: session.sessionId, participantId: cy.participantId, resumeToken: cy.resumeToken });
+  await rejoin;
+
+  // Once names are gone the Node-NN labels are fixed: nobody can be removed and renumber the rest
+  await server.api(`${sessionPath}/delete-identities`, { method: 'POST', token: session.adminToken });
+  const labels = (await server.api(`${sessionPath}/graph`)).body.nodes.map(node => node.label);
+  const refused = await server.api(`${sessionPath}/participants/${ada.participantId}`, { method: 'DELETE', token: session.adminToken });
+  assert.equal(refused.status, 409);
+  assert.equal(refused.body.code, 'identity_deleted');
+  assert.deepEqual((await server.api(`${sessionPath}/graph`)).body.nodes.map(node => node.label), labels);
+});
+
+test('a socket joins once: joining again on it is refused and adds no node', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const session = await createSession(server);
+  const sessionPath = `/sessions/${session.sessionId}`;
+  const ada = await joinSession(server, session.sessionId, 'Ada');
+  const refused = once(ada.socket, 'join-error');
+  ada.socket.emit('join-session', { sessionId: session.sessionId, name: 'Ada Again' });
+  assert.equal((await refused).reason, 'already-joined');
+
+  const { body: lobby } = await server.api(`${sessionPath}/participants`, { token: session.adminToken });
+  assert.deepEqual(lobby.participants.map(p => p.id), [ada.participantId]);
+  assert.equal((await server.api(`${sessionPath}/graph`)).body.nodes.length, 1);
+});
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { listLanAddresses, normalizePublicUrl, resolveBaseUrl } = require('../server/network');
+const { startServer, createSession } = require('./helpers');
+
+// A laptop on the studio router: loopback, Wi-Fi with IPv4 and IPv6, and a Docker bridge
+const laptopInterfaces = () => ({
+  lo: [{ address: '127.0.0.1', family: 'IPv4', internal: true }],
+  wlan0: [
+    { address: '192.168.1.20', family: 'IPv4', internal: false },
+    { address: 'fe80::1', family: 'IPv6', internal: false }
+  ],
+  docker0: [{ address: '172.17.0.1', family: 4, internal: false }]
+});
+
+test('join links use a public URL, a chosen LAN address, or the request host without loopback', () => {
+  const lanAddresses = listLanAddresses(laptopInterfaces());
+  assert.deepEqual(lanAddresses, [
+    { interface: 'wlan0', address: '192.168.1.20' },
+    { interface: 'docker0', address: '172.17.0.1' }
+  ]);
+
+  assert.equal(normalizePublicUrl(null), null);
+  assert.equal(normalizePublicUrl('https://embedding.example.org/'), 'https://embedding.example.org');
+  assert.equal(normalizePublicUrl('http://192.168.1.20:3000/studio/'), 'http://192.168.1.20:3000/studio');
+  assert.throws(() => normalizePublicUrl('192.168.1.20:3000'), /PUBLIC_URL/);
+  assert.throws(() => normalizePublicUrl('ftp://example.org'), /PUBLIC_URL/);
+
+  const request = { protocol: 'http', host: 'localhost:3000', lanAddresses };
+  assert.equal(resolveBaseUrl(request), 'http://192.168.1.20:3000');
+  assert.equal(resolveBaseUrl({ ...request, host: '127.0.0.1:3000' }), 'http://192.168.1.20:3000');
+  assert.equal(resolveBaseUrl({ ...request, lanAddress: '172.17.0.1' }), 'http://172.17.0.1:3000');
+  assert.equal(resolveBaseUrl({ ...request, host: '192.168.1.20:3000', lanAddresses: [] }), 'http://192.168.1.20:3000');
+  assert.equal(resolveBaseUrl({ ...request, host: 'embedding.local' }), 'http://embedding.local');
+  assert.equal(resolveBaseUrl({ ...request, lanAddresses: [] }), 'http://localhost:3000', 'no network to offer');
+  assert.equal(resolveBaseUrl({ ...request, publicUrl: 'https://embedding.example.org' }), 'https://embedding.example.org');
+});
+
+test('sessions created on localhost hand phones a LAN join link', async (t) => {
+  const server = await startServer({ networkInterfaces: laptopInterfaces });
+  t.after(() => server.stop());
+  const port = server.server.address().port;
+
+  const { body: network } = await server.api('/network');
+  assert.equal(network.publicUrl, null);
+  assert.equal(network.lanAddresses.length, 2);
+  assert.equal(network.baseUrl, `http://192.168.1.20:${port}`);
+
+  const automatic = await createSession(server);
+  assert.equal(automatic.joinUrl, `http://192.168.1.20:${port}/join/${automatic.sessionId}`);
+  assert.equal(automatic.displayUrl, `http://192.168.1.20:${port}/display/${automatic.sessionId}`);
+
+  const chosen = await createSession(server, { lanAddress: '172.17.0.1' });
+  assert.equal(chosen.joinUrl, `http://172.17.0.1:${port}/join/${chosen.sessionId}`);
+
+  const unknown = await server.api('/sessions', { method: 'POST', body: { lanAddress: '10.0.0.9' } });
+  assert.equal(unknown.status, 400);
+  assert.match(unknown.body.error, /lanAddress/);
+});
+
+test('a configured public URL is used for every join link', async (t) => {
+  const server = await startServer({ networkInterfaces: laptopInterfaces, publicUrl: 'https://embedding.example.org/' });
+  t.after(() => server.stop());
+
+  const session = await createSession(server);
+  assert.equal(session.joinUrl, `https://embedding.example.org/join/${session.sessionId}`);
+  assert.equal((await server.api('/network')).body.publicUrl, 'https://embedding.example.org');
+});
+
+test('the pages load three.js and fonts from the server, not from a CDN', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  for (const page of ['/admin', `/display/${(await createSession(server)).sessionId}`]) {
+    const html = await (await fetch(`${server.url}${page}`)).text();
+    assert.doesNotMatch(html, /<(script|link)[^>]+(src|href)="https?:/, `${page} has no remote assets`);
+  }
+  for (const asset of [
+    '/vendor/three/build/three.min.js',
+    '/vendor/three/examples/js/controls/OrbitControls.js',
+    '/shared/fonts.css',
+    '/vendor/fonts/inter/400.css',
+    '/vendor/fonts/inter/files/inter-latin-400-normal.woff2',
+    '/vendor/fonts/jetbrains-mono/500.css'
+  ]) {
+    assert.equal((await fetch(`${server.url}${asset}`)).status, 200, asset);
+  }
+});
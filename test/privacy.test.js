@@ -0,0 +1,234 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSessionState, beginEpoch } = require('../server/session');
+const { addGraphNode, addTie, buildNodePayload, publicNodeId } = require('../server/graph');
+const {
+  validatePrivacy,
+  normalizePrivacy,
+  publishedEpoch,
+  buildPublicGraph,
+  buildPublicNode
+} = require('../server/privacy');
+const { startServer, once, createSession, joinSession, connectAdmin } = require('./helpers');
+
+// Session with the given privacy settings and nodes, each logged as joining in epoch 0
+function sessionWith(privacy, ids) {
+  const session = createSessionState('test', []);
+  session.privacy = normalizePrivacy(privacy);
+  for (const participantId of ids) {
+    addGraphNode(session.graph, participantId, session.channels);
+    session.history.push({ type: 'join', epoch: 0, timestamp: 0, participantId });
+  }
+  return session;
+}
+
+// Cognitive tie in the current epoch, as the response handler logs it
+function answer(session, from, to) {
+  addTie(session.graph, from, to, 'cognitive', 0);
+  session.history.push({ type: 'response', epoch: session.epochCount, timestamp: 0, from, to, channel: 'cognitive' });
+}
+
+// A participant's node in a public graph, which names it by public id
+function publicNode(graph, session, participantId) {
+  return graph.nodes.find(node => node.id === publicNodeId(session, participantId));
+}
+
+test('privacy settings are validated and default to the exact graph', () => {
+  assert.deepEqual(validatePrivacy({}), []);
+  assert.deepEqual(validatePrivacy({ minGroupSize: 5, noiseEpsilon: 1, delayUpdates: true }), []);
+  assert.deepEqual(normalizePrivacy({ minGroupSize: 5, other: true }), { minGroupSize: 5, noiseEpsilon: null, delayUpdates: false });
+  assert.match(validatePrivacy([]).join(), /object/);
+  assert.match(validatePrivacy({ minGroupSize: -1 }).join(), /minGroupSize/);
+  assert.match(validatePrivacy({ minGroupSize: 2.5 }).join(), /minGroupSize/);
+  assert.match(validatePrivacy({ noiseEpsilon: 0 }).join(), /noiseEpsilon/);
+  assert.match(validatePrivacy({ noiseEpsilon: '1' }).join(), /noiseEpsilon/);
+  assert.match(validatePrivacy({ delayUpdates: 'yes' }).join(), /delayUpdates/);
+});
+
+test('edges and structural metrics are withheld below the minimum group size', () => {
+  const session = sessionWith({ minGroupSize: 4 }, ['a', 'b', 'c']);
+  answer(session, 'a', 'b');
+
+  const graph = buildPublicGraph(session);
+  assert.deepEqual(graph.edges, []);
+  assert.equal(graph.analytics, null);
+  assert.deepEqual(graph.privacy, { minGroupSize: 4, noiseEpsilon: null, delayUpdates: false, exact: false, publishedEpoch: 0, edgesWithheld: true });
+  const b = publicNode(graph, session, 'b');
+  assert.equal(b.rawEmbedding.cognitive, 1);
+  assert.deepEqual(b.centrality, { inDegree: 1, outDegree: 0, totalVolume: 1 });
+  assert.equal(b.community, null);
+
+  const profile = buildPublicNode(session, publicNodeId(session, 'a'));
+  assert.deepEqual(profile.connections, []);
+  assert.equal(profile.channelMetrics, null);
+
+  addGraphNode(session.graph, 'd', session.channels);
+  const grown = buildPublicGraph(session);
+  assert.equal(grown.edges.length, 1);
+  assert.equal(grown.privacy.edgesWithheld, false);
+  assert.equal(buildPublicNode(session, publicNodeId(session, 'a')).connections[0].targetId, publicNodeId(session, 'b'));
+});
+
+test('public noise is stable for one graph state and never negative', () => {
+  const session = sessionWith({ noiseEpsilon: 0.5 }, ['a', 'b', 'c']);
+  answer(session, 'a', 'b');
+  answer(session, 'c', 'b');
+
+  const first = buildPublicGraph(session);
+  assert.deepEqual(buildPublicGraph(session), first, 'refetching returns the same noise');
+
+  // Exact edge weights or structure would undo the noise: summing b's incoming ties gives its embedding
+  assert.deepEqual(first.edges, []);
+  assert.equal(first.analytics, null);
+  assert.equal(first.privacy.edgesWithheld, true);
+  for (const node of first.nodes) {
+    assert.deepEqual(Object.keys(node.centrality).sort(), ['inDegree', 'outDegree', 'totalVolume']);
+    assert.equal(node.community, null);
+  }
+  const profile = buildPublicNode(session, publicNodeId(session, 'b'));
+  assert.deepEqual(profile.connections, []);
+  assert.equal(profile.channelMetrics, null);
+  assert.equal(profile.role, publicNode(first, session, 'b').role);
+
+  const ids = ['a', 'b', 'c'];
+  assert.notDeepEqual(
+    ids.map(id => publicNode(first, session, id).rawEmbedding),
+    ids.map(id => buildNodePayload(session, id).rawEmbedding)
+  );
+  for (const node of first.nodes) {
+    assert.ok(Object.values(node.rawEmbedding).every(weight => weight >= 0));
+    assert.ok(node.centrality.inDegree >= 0 && node.centrality.totalVolume >= 0);
+  }
+
+  // A new tie is a new graph state with fresh noise; another session draws from another seed
+  answer(session, 'a', 'c');
+  assert.notDeepEqual(publicNode(buildPublicGraph(session), session, 'b').rawEmbedding, publicNode(first, session, 'b').rawEmbedding);
+  const twin = sessionWith({ noiseEpsilon: 0.5 }, ['a', 'b', 'c']);
+  answer(twin, 'a', 'b');
+  answer(twin, 'c', 'b');
+  assert.notDeepEqual(
+    ids.map(id => publicNode(buildPublicGraph(twin), twin, id).rawEmbedding),
+    ids.map(id => publicNode(first, session, id).rawEmbedding)
+  );
+});
+
+test('delayed updates publish an epoch only once its question has closed', () => {
+  const session = sessionWith({ delayUpdates: true }, ['a', 'b']);
+  assert.equal(publishedEpoch(session), 0, 'the lobby is always published');
+
+  session.currentQuestionIndex = 0;
+  beginEpoch(session);
+  answer(session, 'a', 'b');
+  assert.equal(publishedEpoch(session), 0);
+  assert.deepEqual(buildPublicGraph(session).edges, []);
+  assert.equal(buildPublicNode(session, publicNodeId(session, 'b')).rawEmbedding.cognitive, 0);
+
+  session.questionClosed = true;
+  assert.equal(publishedEpoch(session), 1);
+  assert.equal(buildPublicGraph(session).edges.length, 1);
+});
+
+test('without the admin token the routes and the projector only see the public view', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const invalid = await server.api('/sessions', { method: 'POST', body: { privacy: { minGroupSize: 'five' } } });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, 'invalid_privacy');
+
+  const session = await createSession(server, {
+    questions: [{ text: 'Who explains things clearly?', channel: 'cognitive' }],
+    advancePolicy: { mode: 'all', questionDurationMs: 0, advanceDelayMs: 0 },
+    privacy: { minGroupSize: 3, delayUpdates: true }
+  });
+  assert.deepEqual(session.privacy, { minGroupSize: 3, noiseEpsilon: null, delayUpdates: true });
+  const sessionPath = `/sessions/${session.sessionId}`;
+
+  const admin = connectAdmin(server, session);
+  await once(admin, 'connect');
+  const display = server.connect('/display', { auth: { sessionId: session.sessionId } });
+  await once(display, 'display-state');
+  let deltas = 0;
+  display.on('graph-delta', () => deltas++);
+
+  const ada = await joinSession(server, session.sessionId, 'Ada');
+  const ben = await joinSession(server, session.sessionId, 'Ben');
+  const question = once(ada.socket, 'new-question');
+  await server.api(`${sessionPath}/start-questions`, { method: 'POST', token: session.adminToken });
+  await question;
+
+  const answered = once(admin, 'graph-delta');
+  ada.socket.emit('submit-response', { questionIndex: 0, targetParticipantIds: [ben.participantId] });
+  await answered;
+
+  // The admin sees the answer at once, the public neither the edge nor the open epoch
+  const { body: exact } = await server.api(`${sessionPath}/graph`, { token: session.adminToken });
+  assert.equal(exact.edges.length, 1);
+  assert.equal(exact.privacy.exact, true);
+  const { body: open } = await server.api(`${sessionPath}/graph`);
+  assert.deepEqual(open.edges, []);
+  assert.deepEqual(open.privacy, { minGroupSize: 3, noiseEpsilon: null, delayUpdates: true, exact: false, publishedEpoch: 0, edgesWithheld: true });
+  const labelOf = (participantId) => exact.nodes.find(node => node.id === participantId).label;
+  const benNode = (graph) => graph.nodes.find(node => node.label === labelOf(ben.participantId));
+  assert.equal(benNode(open).rawEmbedding.cognitive, 0);
+  assert.equal((await server.api(`${sessionPath}/epochs/1/graph`)).status, 404);
+  assert.equal((await server.api(`${sessionPath}/epochs/1/graph`, { token: session.adminToken })).status, 200);
+  const responses = async (token) => (await server.api(`${sessionPath}/epochs`, { token })).body.epochs[1].responses;
+  assert.equal(await responses(), null, 'nor how many have answered');
+  assert.equal(await responses(session.adminToken), 1);
+
+  // Closing the question publishes its epoch; two nodes are still below the group size
+  const updated = once(display, 'graph-updated');
+  ben.socket.emit('submit-response', { questionIndex: 0, targetParticipantIds: [] });
+  assert.equal((await updated).publishedEpoch, 1);
+  const { body: closed } = await server.api(`${sessionPath}/graph`);
+  assert.equal(closed.privacy.publishedEpoch, 1);
+  assert.equal(await responses(), await responses(session.adminToken));
+  assert.equal(closed.privacy.edgesWithheld, true);
+  assert.equal(benNode(closed).rawEmbedding.cognitive, 1);
+  const adaPublicId = closed.nodes.find(node => node.label === labelOf(ada.participantId)).id;
+  const { body: profile } = await server.api(`${sessionPath}/node/${adaPublicId}`);
+  assert.deepEqual(profile.connections, []);
+  assert.equal(deltas, 0, 'projectors never receive exact deltas under privacy mode');
+});
+
+test('no public payload carries a participant id', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const session = await createSession(server, {
+    questions: [{ text: 'Who explains things clearly?', channel: 'cognitive' }],
+    advancePolicy: { mode: 'all', questionDurationMs: 0, advanceDelayMs: 0 }
+  });
+  const sessionPath = `/sessions/${session.sessionId}`;
+  const display = server.connect('/display', { auth: { sessionId: session.sessionId } });
+  await once(display, 'display-state');
+  const published = [];
+  display.on('graph-delta', delta => published.push(delta));
+
+  const ada = await joinSession(server, session.sessionId, 'Ada');
+  const ben = await joinSession(server, session.sessionId, 'Ben');
+  const question = once(ada.socket, 'new-question');
+  await server.api(`${sessionPath}/start-questions`, { method: 'POST', token: session.adminToken });
+  const { participants: options } = await question;
+  const delta = once(display, 'graph-delta');
+  ada.socket.emit('submit-response', { questionIndex: 0, targetParticipantIds: [ben.participantId] });
+  await delta;
+
+  const { body: graph } = await server.api(`${sessionPath}/graph`);
+  assert.equal(graph.edges.length, 1, 'without privacy settings the public graph is exact');
+  published.push(graph);
+  published.push((await server.api(`${sessionPath}/epochs`)).body);
+  published.push((await server.api(`${sessionPath}/epochs/1/graph`)).body);
+  for (const node of graph.nodes) {
+    published.push((await server.api(`${sessionPath}/node/${node.id}`)).body);
+  }
+  assert.equal((await server.api(`${sessionPath}/node/${ada.participantId}`)).status, 404);
+
+  const optionIds = options.map(option => option.id);
+  assert.deepEqual(optionIds.sort(), [ada.participantId, ben.participantId].sort());
+  const text = JSON.stringify(published);
+  for (const id of optionIds) {
+    assert.ok(!text.includes(id), `public payloads name nodes without answer option ids (${id})`);
+  }
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSessionState, serializeSession, restoreSession, beginEpoch } = require('../server/session');
+const { addGraphNode, addTie, calculateEmbeddingVector } = require('../server/graph');
+
+const questions = [
+  { text: 'Who explains things clearly?', channel: 'cognitive' },
+  { text: 'Who keeps the team calm?', channel: 'social' }
+];
+
+// Two participants, one answer from a to b, as the socket handlers would record it
+function sessionWithAnswer() {
+  const session = createSessionState('s1', questions);
+  for (const [id, name] of [['a', 'Ada'], ['b', 'Ben']]) {
+    session.participants.set(id, { id, name, socketId: null, resumeToken: `token-${id}`, connected: true });
+    session.graph.identityMap.set(id, name);
+    addGraphNode(session.graph, id, session.channels);
+    session.history.push({ type: 'join', epoch: 0, timestamp: 0, participantId: id });
+  }
+  session.currentQuestionIndex = 0;
+  beginEpoch(session);
+  session.responses.set(0, new Map([['a', { targetParticipantIds: ['b'], channel: 'cognitive', timestamp: 5 }]]));
+  addTie(session.graph, 'a', 'b', 'cognitive', 5);
+  session.history.push({ type: 'response', epoch: 1, timestamp: 5, questionIndex: 0, from: 'a', to: 'b', channel: 'cognitive', weight: 1 });
+  return session;
+}
+
+test('a snapshot survives a JSON round trip with its graph and embeddings', () => {
+  const session = sessionWithAnswer();
+  const restored = restoreSession(JSON.parse(JSON.stringify(serializeSession(session))));
+
+  assert.equal(restored.adminToken, session.adminToken);
+  assert.equal(restored.correlationId, session.correlationId);
+  assert.equal(restored.epochCount, 1);
+  assert.deepEqual(restored.questions, questions);
+  assert.deepEqual(calculateEmbeddingVector(restored, 'b'), calculateEmbeddingVector(session, 'b'));
+  assert.deepEqual(Array.from(restored.graph.edges.keys()), ['a-b-cognitive']);
+  assert.deepEqual(restored.responses.get(0).get('a').targetParticipantIds, ['b']);
+  assert.equal(restored.graph.identityMap.get('a'), 'Ada');
+
+  // Devices have to rejoin after a restart
+  assert.equal(restored.participants.get('a').connected, false);
+  assert.equal(restored.participants.get('a').resumeToken, 'token-a');
+});
+
+test('names never reach the snapshot once the identity layer is removed or the session ended', () => {
+  const session = sessionWithAnswer();
+  assert.ok(JSON.stringify(serializeSession(session)).includes('Ada'));
+
+  session.identityDeleted = true;
+  assert.ok(!JSON.stringify(serializeSession(session)).includes('Ada'));
+
+  const ended = sessionWithAnswer();
+  ended.isActive = false;
+  assert.ok(!JSON.stringify(serializeSession(ended)).includes('Ben'));
+});
+
+test('the simulated bot counter survives a restore, so new bots get unused Sim-NN names', () => {
+  const session = sessionWithAnswer();
+  session.simulatedCount = 3;
+  assert.equal(restoreSession(JSON.parse(JSON.stringify(serializeSession(session)))).simulatedCount, 3);
+});
+
+test('snapshots from before the event log get one epoch per answered question', () => {
+  const snapshot = JSON.parse(JSON.stringify(serializeSession(sessionWithAnswer())));
+  delete snapshot.history;
+  delete snapshot.epochs;
+  snapshot.responses = [[0, [['a', { targetParticipantId: 'b', channel: 'cognitive', timestamp: 5 }]]]];
+
+  const restored = restoreSession(snapshot);
+  assert.deepEqual(restored.history.map(event => event.type), ['join', 'join', 'response']);
+  assert.equal(restored.history[2].epoch, 1);
+  assert.deepEqual(restored.epochs.map(entry => entry.questionIndex), [-1, 0]);
+});